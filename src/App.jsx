@@ -5,10 +5,18 @@ import {
     DollarSign, ClipboardCheck, ArrowRight, RotateCcw,
     Printer, X, Copy, Loader2, AlertCircle
 } from 'lucide-react'
-import { analyzeDossier } from './logic/ruleEngine'
+import { analyzeDossier, resolveReferenceDate } from './logic/ruleEngine'
+import { simulateImprovements } from './logic/whatIfSimulator'
+import { EXEMPTING_PARENT_STATUS } from './logic/caqExemptions'
+import { createInitialFormData, migrateFormData, getField, isFieldVisible } from './logic/dossierSchema'
 import { analyzeTimeline, TIMELINE_STATUS } from './logic/timelineRules'
 import { generateDossierReport, generateChronologyReport } from './services/geminiService'
-import { STATUS, SEVERITY, RECOMMENDATION, FINANCE_MIFI_COUNTRIES, FINANCIAL_THRESHOLDS } from './logic/constants'
+import { STATUS, SEVERITY, RECOMMENDATION, PROGRAM_TYPE, STUDY_LOAD, DELIVERY_MODE } from './logic/constants'
+import { isMifiFinanceCountry, findCountry } from './logic/countryRegistry'
+import { formatAmount } from './logic/financialThresholds'
+import { formatMoney } from './logic/exchangeRates'
+import { DOCUMENT_RECENCY_RULES } from './logic/documentRecency'
+import { toDate } from './logic/parsing'
 import { format } from 'date-fns'
 import { fr } from 'date-fns/locale'
 
@@ -19,60 +27,20 @@ import Timeline from './components/Timeline'
 import Checklist from './components/Checklist'
 import TimelineBuilder from './components/TimelineBuilder'
 import DetailedReportModal from './components/DetailedReportModal'
+import BankLedgerEditor from './components/BankLedgerEditor'
+import FundSourcesEditor from './components/FundSourcesEditor'
+import AdmissionLetterEditor from './components/AdmissionLetterEditor'
+import AcademicTermsEditor from './components/AcademicTermsEditor'
+import ParentsEditor from './components/ParentsEditor'
+import CustodianEditor from './components/CustodianEditor'
+import ValidationBanner from './components/ValidationBanner'
+import CountryAutocomplete from './components/CountryAutocomplete'
+import ScholarshipsEditor from './components/ScholarshipsEditor'
+import GuarantorsEditor from './components/GuarantorsEditor'
 
 const Timeline3D = lazy(() => import('./components/Timeline3D'))
 
-const INITIAL_FORM_DATA = {
-    fileNumber: '',
-    category: 'MAJEUR Première demande (Finance à vérifier)',
-    isConforming: false,
-    dob: '',
-    country: '',
-    applicationType: 'Première demande',
-    studyLevel: 'Collégial',
-    passportStatus: 'valid',
-    startDate: '',
-    endDate: '',
-    financeMode: 'calculate',
-    availableFunds: 0,
-    financialProof: false,
-    formDeclaration: false,
-    admissionLetter: false,
-    transcripts: false,
-    explanationsStudy: false,
-    fullTimeJustification: false,
-    pastInsurances: [],
-    futureInsurances: [],
-    prevCAQStart: '',
-    prevCAQEnd: '',
-    prevStudyStart: '',
-    prevStudyEnd: '',
-    prevStudyInProgress: false,
-    entryDate: '',
-    isNewProgram: false,
-    payerType: 'self',
-    supportForm: false,
-    guarantorFinanceProof: false,
-    bankStatements6Months: false,
-    selfFinanceProof: false,
-    birthCertificate: false,
-    parentsIdentity: false,
-    parentalAuthorityDeclaration: false,
-    custodyDeclaration: false,
-    citizenshipProof: false,
-    consentDeclaration: false,
-    soleCustodyProof: false,
-    nonAccompanyingParentIdentity: false,
-    accompanyingParentsStatus: false,
-    parentalAuthorityDelegation: false,
-    responsibleAdultIdentity: false,
-    residenceProof: false,
-    criminalRecordCheck: false,
-    minorSituation: 'both_parents',
-    emancipationJudgment: false,
-    passportSigned: false,
-    minorConsent: false,
-};
+const INITIAL_FORM_DATA = createInitialFormData();
 
 class ErrorBoundary extends React.Component {
     constructor(props) {
@@ -105,7 +73,8 @@ function App() {
     const [activeTab, setActiveTab] = useState('input')
     const [formData, setFormData] = useState(() => {
         const saved = localStorage.getItem('caq_form_data');
-        return saved ? JSON.parse(saved) : INITIAL_FORM_DATA;
+        // Dossiers saved before a field existed, or under a legacy name, are brought up to the schema
+        return saved ? migrateFormData(JSON.parse(saved)) : INITIAL_FORM_DATA;
     })
 
     const [timelineEvents, setTimelineEvents] = useState(() => {
@@ -119,8 +88,15 @@ function App() {
     const [showDossierResults, setShowDossierResults] = useState(false)
     const [showChronologyResults, setShowChronologyResults] = useState(false)
 
-    const analysis = useMemo(() => analyzeDossier(formData), [formData])
-    const timelineAnalysis = useMemo(() => analyzeTimeline(timelineEvents), [timelineEvents])
+    // Both analyses are computed as of the same reference date (submission date by default)
+    const referenceDate = useMemo(() => resolveReferenceDate(formData), [formData.referenceDate, formData.submissionDate])
+    const analysis = useMemo(() => analyzeDossier(formData, { asOf: referenceDate }), [formData, referenceDate])
+    const timelineAnalysis = useMemo(() => analyzeTimeline(timelineEvents, { asOf: referenceDate }), [timelineEvents, referenceDate])
+    // The what-if simulator re-runs the engine many times: only when the results are displayed
+    const simulation = useMemo(
+        () => (showDossierResults ? simulateImprovements(formData, { asOf: referenceDate }) : null),
+        [showDossierResults, formData, referenceDate]
+    )
     const timelineRange = useMemo(() => {
         if (!timelineEvents || timelineEvents.length === 0) return null;
         const dates = timelineEvents
@@ -198,9 +174,9 @@ function App() {
 
             // Age calculation helper
             const calculateAge = (dob) => {
-                if (!dob) return null;
-                const birthDate = new Date(dob);
-                const today = new Date();
+                const birthDate = toDate(dob);
+                if (!birthDate) return null;
+                const today = resolveReferenceDate(next);
                 let age = today.getFullYear() - birthDate.getFullYear();
                 const m = today.getMonth() - birthDate.getMonth();
                 if (m < 0 || (m === 0 && today.getDate() < birthDate.getDate())) {
@@ -227,6 +203,44 @@ function App() {
         });
     }
 
+    // Validation issues of a field (or of the rows of a list field), shown under its input
+    const renderFieldIssues = (field) => analysis.validation.issues
+        .filter(issue => issue.field === field || issue.field.startsWith(`${field}[`))
+        .map(issue => <span key={issue.message} className={`field-issue ${issue.level}`}>{issue.message}</span>);
+
+    // Issue and expiry dates of a supplied document covered by the recency table
+    const updateDocumentDate = (id, key, value) => setFormData(prev => ({
+        ...prev,
+        documentDates: { ...prev.documentDates, [id]: { ...(prev.documentDates[id] || {}), [key]: value } }
+    }));
+    const renderDocumentDates = (id) => formData[id] && DOCUMENT_RECENCY_RULES[id] && (
+        <div className="document-dates fade-in">
+            {DOCUMENT_RECENCY_RULES[id].maxAgeDays && (
+                <label>
+                    Daté du
+                    <input type="date" value={(formData.documentDates[id] || {}).issued || ''} onChange={(e) => updateDocumentDate(id, 'issued', e.target.value)} />
+                </label>
+            )}
+            {DOCUMENT_RECENCY_RULES[id].hasExpiry && (
+                <label>
+                    Expire le
+                    <input type="date" value={(formData.documentDates[id] || {}).expires || ''} onChange={(e) => updateDocumentDate(id, 'expires', e.target.value)} />
+                </label>
+            )}
+        </div>
+    );
+
+    // Document checkboxes take their label and visibility from the dossier schema
+    const renderDocumentCheckbox = (id) => isFieldVisible(id, formData) && (
+        <React.Fragment key={id}>
+            <label className="checkbox-item">
+                <input type="checkbox" name={id} checked={formData[id]} onChange={handleInputChange} />
+                <span>{getField(id).label}</span>
+            </label>
+            {renderDocumentDates(id)}
+        </React.Fragment>
+    );
+
     const handleCategoryChange = (e) => {
         const cat = e.target.value;
         const isMinor = cat.startsWith('MIN');
@@ -270,11 +284,28 @@ function App() {
         }))
     }
 
+    // Generic helpers for the repeatable rows stored as arrays in formData
+    const addListItem = (field, item) => {
+        setFormData(prev => ({ ...prev, [field]: [...(prev[field] || []), item] }))
+    }
+
+    const updateListItem = (field, index, key, value) => {
+        setFormData(prev => ({
+            ...prev,
+            [field]: prev[field].map((item, i) => i === index ? { ...item, [key]: value } : item)
+        }))
+    }
+
+    const removeListItem = (field, index) => {
+        setFormData(prev => ({ ...prev, [field]: prev[field].filter((_, i) => i !== index) }))
+    }
+
     const getRecommendationColor = (rec) => {
         switch (rec) {
             case RECOMMENDATION.ACCEPTABLE: return '#2c3e50'; // Deep blue/slate
             case RECOMMENDATION.COMPLETE: return '#3182ce';   // Quebec-adjacent blue
             case RECOMMENDATION.HIGH_RISK: return '#e53e3e';  // Alert red
+            case RECOMMENDATION.INVALID_INPUT: return '#b7791f'; // Amber: input to correct
             default: return '#718096';
         }
     }
@@ -294,10 +325,10 @@ function App() {
     const timelineIssuesCount = (timelineAnalysis?.controls?.length || 0) + (timelineAnalysis?.insuranceIssues?.length || 0);
 
     // Strict filtering logic for categories
-    const birthDate = formData.dob ? new Date(formData.dob) : null;
+    const birthDate = toDate(formData.dob);
     let effectiveAge = null;
     if (birthDate) {
-        const today = new Date();
+        const today = referenceDate;
         effectiveAge = today.getFullYear() - birthDate.getFullYear();
         const m = today.getMonth() - birthDate.getMonth();
         if (m < 0 || (m === 0 && today.getDate() < birthDate.getDate())) {
@@ -361,6 +392,7 @@ function App() {
 
                         {!showDossierResults ? (
                             <>
+                                <ValidationBanner validation={analysis.validation} style={{ gridColumn: '1 / -1' }} />
                                 {/* Left Column Cards */}
                                 <div className="form-column">
                                     {/* 1. Saisie & Analyse Individuelle */}
@@ -479,10 +511,22 @@ function App() {
                                             <label>Numéro de dossier</label>
                                             <input name="fileNumber" value={formData.fileNumber} onChange={handleInputChange} placeholder="Ex: 1234567" />
                                         </div>
+                                        <div className="form-row">
+                                            <div className="form-group">
+                                                <label>Date de dépôt</label>
+                                                <input type="date" name="submissionDate" value={formData.submissionDate} onChange={handleInputChange} />
+                                            </div>
+                                            <div className="form-group">
+                                                <label>Évaluer au (optionnel)</label>
+                                                <input type="date" name="referenceDate" value={formData.referenceDate} onChange={handleInputChange} />
+                                                <span className="input-hint">Date de référence : {format(referenceDate, 'dd/MM/yyyy')}</span>
+                                            </div>
+                                        </div>
                                         <div className="form-row">
                                             <div className="form-group">
                                                 <label>Date de naissance</label>
                                                 <input type="date" name="dob" value={formData.dob} onChange={handleInputChange} />
+                                                {renderFieldIssues('dob')}
                                                 <span className="input-hint">{analysis.isAdult ? 'Candidat Majeur' : 'Candidat Mineur'}</span>
                                             </div>
                                         </div>
@@ -501,7 +545,7 @@ function App() {
                                                         <div style={{ display: 'flex', alignItems: 'flex-start', gap: '8px' }}>
                                                             <Info size={16} style={{ marginTop: '2px', flexShrink: 0 }} />
                                                             <div>
-                                                                {FINANCE_MIFI_COUNTRIES.some(c => c.toLowerCase() === formData.country.trim().toLowerCase()) ? (
+                                                                {isMifiFinanceCountry(formData.country) ? (
                                                                     <strong>Conseil : Vous résidez dans un territoire qui necessite une vérification de vos preuves financières par le MIFI. Sélectionnez une catégorie "Finance à vérifier".</strong>
                                                                 ) : (
                                                                     <strong>Conseil : Vous résidez dans un territoire qui ne necessite pas une vérification de vos preuves financières par le MIFI mais vous devez fournir des preuves financières au fédéral. Sélectionnez une catégorie "Exemption financière".</strong>
@@ -516,11 +560,10 @@ function App() {
                                                 <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
                                                     <label style={{ margin: 0 }}>Pays de résidence habituelle</label>
                                                 </div>
-                                                <input
-                                                    name="country"
+                                                <CountryAutocomplete
                                                     value={formData.country}
-                                                    onChange={handleInputChange}
-                                                    placeholder="Ex: France, Sénégal..."
+                                                    onChange={(patch) => setFormData(prev => ({ ...prev, ...patch }))}
+                                                    placeholder="Ex: France, Sénégal, US..."
                                                 />
                                             </div>
                                         </div>
@@ -536,12 +579,74 @@ function App() {
                                             <div className="form-group">
                                                 <label>Début du programme</label>
                                                 <input type="date" name="startDate" value={formData.startDate} onChange={handleInputChange} />
+                                                {renderFieldIssues('startDate')}
                                             </div>
                                             <div className="form-group">
                                                 <label>Fin du programme</label>
                                                 <input type="date" name="endDate" value={formData.endDate} onChange={handleInputChange} />
+                                                {renderFieldIssues('endDate')}
                                             </div>
                                         </div>
+                                        <div className="form-row">
+                                            <div className="form-group">
+                                                <label>Type de programme</label>
+                                                <select name="programType" value={formData.programType} onChange={handleInputChange}>
+                                                    <option value="">— Choisir —</option>
+                                                    {Object.values(PROGRAM_TYPE).map(type => <option key={type} value={type}>{type}</option>)}
+                                                </select>
+                                            </div>
+                                            <div className="form-group">
+                                                <label>Charge d'études</label>
+                                                <select name="studyLoad" value={formData.studyLoad} onChange={handleInputChange}>
+                                                    {Object.values(STUDY_LOAD).map(load => <option key={load} value={load}>{load}</option>)}
+                                                </select>
+                                            </div>
+                                            <div className="form-group">
+                                                <label>Mode de formation</label>
+                                                <select name="deliveryMode" value={formData.deliveryMode} onChange={handleInputChange}>
+                                                    {Object.values(DELIVERY_MODE).map(mode => <option key={mode} value={mode}>{mode}</option>)}
+                                                </select>
+                                            </div>
+                                        </div>
+                                        {formData.studyLoad === STUDY_LOAD.PART_TIME && (
+                                            <div className="checklist-input fade-in">
+                                                <label className="checkbox-item">
+                                                    <input type="checkbox" name="isLastTerm" checked={formData.isLastTerm} onChange={handleInputChange} />
+                                                    <span>Dernière session du programme (exception temps partiel)</span>
+                                                </label>
+                                            </div>
+                                        )}
+
+                                        <div className="sub-section">
+                                            <h3>Situations d'exemption de CAQ</h3>
+                                            <div className="checklist-input">
+                                                {formData.programType === PROGRAM_TYPE.EXCHANGE && (
+                                                    <label className="checkbox-item">
+                                                        <input type="checkbox" name="exchangeUnderAgreement" checked={formData.exchangeUnderAgreement} onChange={handleInputChange} />
+                                                        <span>Échange dans le cadre d'une entente reconnue par le Québec</span>
+                                                    </label>
+                                                )}
+                                                <label className="checkbox-item">
+                                                    <input type="checkbox" name="isDiplomatFamily" checked={formData.isDiplomatFamily} onChange={handleInputChange} />
+                                                    <span>Membre de la famille d'un diplomate ou d'un agent accrédité au Canada</span>
+                                                </label>
+                                                {!analysis.isAdult && (
+                                                    <label className="checkbox-item">
+                                                        <input type="checkbox" name="minorAlreadyInQuebec" checked={formData.minorAlreadyInQuebec} onChange={handleInputChange} />
+                                                        <span>Mineur déjà au Québec</span>
+                                                    </label>
+                                                )}
+                                            </div>
+                                            {!analysis.isAdult && formData.minorAlreadyInQuebec && (
+                                                <div className="form-group fade-in">
+                                                    <label>Statut du parent au Québec</label>
+                                                    <select name="parentStatusInQuebec" value={formData.parentStatusInQuebec} onChange={handleInputChange}>
+                                                        <option value="">Autre / aucun</option>
+                                                        {Object.entries(EXEMPTING_PARENT_STATUS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                                                    </select>
+                                                </div>
+                                            )}
+                                        </div>
 
                                         {formData.applicationType === 'Renouvellement' && (
                                             <div className="sub-section fade-in">
@@ -554,6 +659,7 @@ function App() {
                                                     <div className="form-group">
                                                         <label>Fin CAQ précédent</label>
                                                         <input type="date" name="prevCAQEnd" value={formData.prevCAQEnd} onChange={handleInputChange} />
+                                                        {renderFieldIssues('prevCAQEnd')}
                                                     </div>
                                                 </div>
                                                 <div className="form-row" style={{ marginTop: '0.5rem' }}>
@@ -571,6 +677,7 @@ function App() {
                                                             disabled={formData.prevStudyInProgress}
                                                             style={{ opacity: formData.prevStudyInProgress ? 0.5 : 1 }}
                                                         />
+                                                        {renderFieldIssues('prevStudyEnd')}
                                                         <label className="checkbox-item" style={{ marginTop: '8px', fontSize: '0.9rem' }}>
                                                             <input
                                                                 type="checkbox"
@@ -595,6 +702,7 @@ function App() {
                                                         <div className="form-group">
                                                             <label>Date de première entrée au pays</label>
                                                             <input type="date" name="entryDate" value={formData.entryDate} onChange={handleInputChange} />
+                                                            {renderFieldIssues('entryDate')}
                                                         </div>
                                                         <div className="form-group" style={{ marginTop: '1.5rem' }}>
                                                             <label style={{ display: 'block', marginBottom: '8px', fontWeight: 'bold' }}>Nouveau programme d'études ?</label>
@@ -626,6 +734,53 @@ function App() {
                                             </div>
                                         )}
                                     </section>
+
+                                    {/* Famille accompagnante */}
+                                    <section className="card form-card">
+                                        <div className="card-header">
+                                            <Users size={18} />
+                                            <h2>Membres de la famille</h2>
+                                        </div>
+                                        <div className="checklist-input">
+                                            <p className="hint">Conjoint(e) et enfants qui accompagnent l'étudiant : chaque personne accompagnante augmente le montant requis.</p>
+                                            {formData.familyMembers.length > 0 && (
+                                                <div className="insurance-manager">
+                                                    {formData.familyMembers.map((member, idx) => (
+                                                        <div key={idx} className="fade-in">
+                                                            <div className="insurance-row">
+                                                                <select value={member.relationship} onChange={(e) => updateListItem('familyMembers', idx, 'relationship', e.target.value)}>
+                                                                    <option value="spouse">Conjoint(e)</option>
+                                                                    <option value="child">Enfant</option>
+                                                                </select>
+                                                                <input value={member.name} onChange={(e) => updateListItem('familyMembers', idx, 'name', e.target.value)} placeholder="Nom" />
+                                                                <input type="date" value={member.dob} onChange={(e) => updateListItem('familyMembers', idx, 'dob', e.target.value)} />
+                                                                <button className="btn-icon" onClick={() => removeListItem('familyMembers', idx)}>×</button>
+                                                            </div>
+                                                            <div className="checklist-input" style={{ padding: '0 1.5rem 1rem' }}>
+                                                                <label className="checkbox-item">
+                                                                    <input type="checkbox" checked={member.accompanying} onChange={(e) => updateListItem('familyMembers', idx, 'accompanying', e.target.checked)} />
+                                                                    <span>Accompagne l'étudiant</span>
+                                                                </label>
+                                                                {member.accompanying && (
+                                                                    <>
+                                                                        <label className="checkbox-item">
+                                                                            <input type="checkbox" checked={member.identityDoc} onChange={(e) => updateListItem('familyMembers', idx, 'identityDoc', e.target.checked)} />
+                                                                            <span>Passeport</span>
+                                                                        </label>
+                                                                        <label className="checkbox-item">
+                                                                            <input type="checkbox" checked={member.civilStatusDoc} onChange={(e) => updateListItem('familyMembers', idx, 'civilStatusDoc', e.target.checked)} />
+                                                                            <span>{member.relationship === 'spouse' ? 'Certificat de mariage / union' : 'Acte de naissance'}</span>
+                                                                        </label>
+                                                                    </>
+                                                                )}
+                                                            </div>
+                                                        </div>
+                                                    ))}
+                                                </div>
+                                            )}
+                                            <button className="btn-secondary btn-small" onClick={() => addListItem('familyMembers', { relationship: 'spouse', name: '', dob: '', accompanying: true, identityDoc: false, civilStatusDoc: false })}>+ Ajouter un membre de la famille</button>
+                                        </div>
+                                    </section>
                                 </div>
 
                                 <div className="form-column">
@@ -649,6 +804,13 @@ function App() {
                                                         : "Attestation de fréquentation (Programme actuel)"}
                                                 </span>
                                             </label>
+                                            {formData.admissionLetter && (formData.applicationType === 'Première demande' || formData.isNewProgram) && (
+                                                <AdmissionLetterEditor
+                                                    letter={formData}
+                                                    registry={formData.dliRegistry}
+                                                    onChange={(patch) => setFormData(prev => ({ ...prev, ...patch }))}
+                                                />
+                                            )}
 
                                             {formData.applicationType === 'Renouvellement' && (
                                                 <div className="sub-section fade-in">
@@ -657,6 +819,14 @@ function App() {
                                                         <input type="checkbox" name="transcripts" checked={formData.transcripts} onChange={handleInputChange} />
                                                         <span>Tous les relevés de notes (Québec)</span>
                                                     </label>
+                                                    {formData.transcripts && (
+                                                        <AcademicTermsEditor
+                                                            terms={formData.academicTerms}
+                                                            programCredits={formData.programCredits}
+                                                            studyLevel={formData.studyLevel}
+                                                            onChange={(patch) => setFormData(prev => ({ ...prev, ...patch }))}
+                                                        />
+                                                    )}
                                                     <label className="checkbox-item">
                                                         <input type="checkbox" name="explanationsStudy" checked={formData.explanationsStudy} onChange={handleInputChange} />
                                                         <span>Lettre explicative (si échec/abandon)</span>
@@ -689,6 +859,7 @@ function App() {
                                                     </div>
                                                 ))}
                                                 <button className="btn-secondary btn-small" onClick={() => addInsurance('past')}>+ Ajouter une période passée</button>
+                                                {renderFieldIssues('pastInsurances')}
 
                                                 <h4 style={{ marginTop: '1rem' }}>Couverture projetée (Futur CAQ)</h4>
                                                 {formData.futureInsurances.map((ins, idx) => (
@@ -700,6 +871,44 @@ function App() {
                                                     </div>
                                                 ))}
                                                 <button className="btn-secondary btn-small" onClick={() => addInsurance('future')}>+ Ajouter une couverture future</button>
+                                                {renderFieldIssues('futureInsurances')}
+                                            </div>
+                                            <label className="checkbox-item" style={{ marginTop: '1rem' }}>
+                                                <input type="checkbox" name="socialSecurityCoverage" checked={formData.socialSecurityCoverage} onChange={handleInputChange} />
+                                                <span>Couvert par la RAMQ (entente de sécurité sociale avec le pays d'origine)</span>
+                                            </label>
+                                            {formData.socialSecurityCoverage && (
+                                                <div className="sub-section fade-in">
+                                                    <div className="form-group">
+                                                        <label>Nationalité</label>
+                                                        <CountryAutocomplete
+                                                            name="nationality"
+                                                            value={formData.nationality}
+                                                            onChange={(patch) => setFormData(prev => ({ ...prev, ...patch }))}
+                                                            placeholder={formData.country || 'Ex: France, Belgique...'}
+                                                            describeMatch={() => (analysis.insuranceCoverage.agreement.isEligible
+                                                                ? `Entente applicable : ${analysis.insuranceCoverage.agreement.form} attendu.`
+                                                                : 'Aucune entente de sécurité sociale connue pour cette nationalité.')}
+                                                        />
+                                                    </div>
+                                                    {renderDocumentCheckbox('agreementForm')}
+                                                    <div className="form-row">
+                                                        <div className="form-group">
+                                                            <label>Valide du</label>
+                                                            <input type="date" name="agreementStart" value={formData.agreementStart} onChange={handleInputChange} />
+                                                        </div>
+                                                        <div className="form-group">
+                                                            <label>au</label>
+                                                            <input type="date" name="agreementEnd" value={formData.agreementEnd} onChange={handleInputChange} />
+                                                            {renderFieldIssues('agreementEnd')}
+                                                        </div>
+                                                    </div>
+                                                </div>
+                                            )}
+                                            <div className="form-group" style={{ marginTop: '1rem' }}>
+                                                <label>Tolérance entre deux périodes (jours)</label>
+                                                <input type="number" min="0" name="insuranceToleranceDays" value={formData.insuranceToleranceDays} onChange={handleInputChange} />
+                                                <span className="input-hint">Les interruptions de couverture plus courtes ne sont pas signalées.</span>
                                             </div>
                                         </div>
                                     </section>
@@ -724,6 +933,11 @@ function App() {
                                             </div>
                                         </div>
 
+                                        <div className="form-group">
+                                            <label>Nom du payeur (titulaire attendu des comptes)</label>
+                                            <input name="payerName" value={formData.payerName} onChange={handleInputChange} placeholder="Ex: Awa Diop" />
+                                        </div>
+
                                         <div className="form-group">
                                             <label>Mode de vérification</label>
                                             <div className="segmented-control">
@@ -738,11 +952,26 @@ function App() {
                                             </div>
                                         </div>
 
-                                        {formData.financeMode === 'calculate' ? (
+                                        {formData.financeMode === 'calculate' && analysis.funds.guarantors ? (
                                             <div className="form-group fade-in">
-                                                <label>Fonds disponibles ($ CAD)</label>
-                                                <input type="number" name="availableFunds" value={formData.availableFunds} onChange={handleInputChange} placeholder="Ex: 25000" />
-                                                <span className="input-hint">Total des liquidités prouvables (Banque, Bourse...)</span>
+                                                <span className="input-hint">Fonds calculés à partir des engagements des garants (voir « Garants financiers ») et des bourses documentées : les fonds déclarés ne sont pas comptés.</span>
+                                            </div>
+                                        ) : formData.financeMode === 'calculate' ? (
+                                            <div className="form-group fade-in">
+                                                {formData.fundSources.length === 0 && (
+                                                    <>
+                                                        <label>Fonds disponibles ($ CAD)</label>
+                                                        <input type="number" name="availableFunds" value={formData.availableFunds} onChange={handleInputChange} placeholder="Ex: 25000" />
+                                                        {renderFieldIssues('availableFunds')}
+                                                        <span className="input-hint">Total des liquidités prouvables (Banque, Bourse...) ou détail par source et devise ci-dessous</span>
+                                                    </>
+                                                )}
+                                                <FundSourcesEditor
+                                                    sources={formData.fundSources}
+                                                    rates={formData.exchangeRates}
+                                                    rateDate={formData.exchangeRateDate}
+                                                    onChange={(patch) => setFormData(prev => ({ ...prev, ...patch }))}
+                                                />
                                             </div>
                                         ) : (
                                             <div className="checklist-input fade-in">
@@ -750,21 +979,77 @@ function App() {
                                                     <input type="checkbox" name="financialProof" checked={formData.financialProof} onChange={handleInputChange} />
                                                     <span>Preuves de capacité financière suffisantes</span>
                                                 </label>
+                                                {renderDocumentDates('financialProof')}
                                             </div>
                                         )}
 
+                                        <div className="sub-section">
+                                            <h3>Droits de scolarité et bourses</h3>
+                                            <div className="form-row">
+                                                <div className="form-group">
+                                                    <label>Droits de scolarité annuels ($ CAD)</label>
+                                                    <input type="number" min="0" name="tuitionPerYear" value={formData.tuitionPerYear} onChange={handleInputChange} placeholder="Selon la lettre d'admission" />
+                                                </div>
+                                                <div className="form-group">
+                                                    <label>Dépôt déjà versé ($ CAD)</label>
+                                                    <input type="number" min="0" name="tuitionDepositPaid" value={formData.tuitionDepositPaid} onChange={handleInputChange} placeholder="0" />
+                                                    {renderFieldIssues('tuitionDepositPaid')}
+                                                </div>
+                                            </div>
+                                            <label className="checkbox-item">
+                                                <input type="checkbox" name="tuitionExemption" checked={formData.tuitionExemption} onChange={handleInputChange} />
+                                                <span>{getField('tuitionExemption').label}</span>
+                                            </label>
+                                            {findCountry(formData.country) && findCountry(formData.country).tuitionExemption && (
+                                                <span className="input-hint">{findCountry(formData.country).tuitionExemption} : les ressortissants paient les droits des étudiants québécois ou canadiens.</span>
+                                            )}
+                                            {formData.tuitionExemption && (
+                                                <div className="fade-in">
+                                                    <div className="form-group">
+                                                        <label>Droits annuels après exemption ($ CAD)</label>
+                                                        <input type="number" min="0" name="exemptTuitionPerYear" value={formData.exemptTuitionPerYear} onChange={handleInputChange} placeholder="0 si exemption totale" />
+                                                    </div>
+                                                    {renderDocumentCheckbox('tuitionExemptionProof')}
+                                                </div>
+                                            )}
+                                            {analysis.tuition && (
+                                                <span className="input-hint">Droits nets ajoutés au seuil : {formatAmount(analysis.tuition.net)}</span>
+                                            )}
+                                            <h4 style={{ marginTop: '1rem' }}>Bourses d'études</h4>
+                                            <ScholarshipsEditor
+                                                scholarships={formData.scholarships}
+                                                onChange={(patch) => setFormData(prev => ({ ...prev, ...patch }))}
+                                            />
+                                            {renderFieldIssues('scholarships')}
+                                            <span className="input-hint">Seules les bourses appuyées d'une lettre d'octroi comptent dans les fonds.</span>
+                                        </div>
+
                                         <div className="checklist-input sub-section" style={{ marginTop: '1rem' }}>
                                             <h3>Documents requis (MIFI)</h3>
                                             {formData.payerType === 'guarantor' ? (
                                                 <>
-                                                    <label className="checkbox-item">
-                                                        <input type="checkbox" name="supportForm" checked={formData.supportForm} onChange={handleInputChange} />
-                                                        <span>Déclaration de soutien financier (Signé/Daté)</span>
-                                                    </label>
-                                                    <label className="checkbox-item">
-                                                        <input type="checkbox" name="guarantorFinanceProof" checked={formData.guarantorFinanceProof} onChange={handleInputChange} />
-                                                        <span>Preuves de revenus/fonds du garant (Emploi/Banque)</span>
-                                                    </label>
+                                                    {formData.guarantors.length === 0 && (
+                                                        <>
+                                                            <label className="checkbox-item">
+                                                                <input type="checkbox" name="supportForm" checked={formData.supportForm} onChange={handleInputChange} />
+                                                                <span>Déclaration de soutien financier (Signé/Daté)</span>
+                                                            </label>
+                                                            {renderDocumentDates('supportForm')}
+                                                            <label className="checkbox-item">
+                                                                <input type="checkbox" name="guarantorFinanceProof" checked={formData.guarantorFinanceProof} onChange={handleInputChange} />
+                                                                <span>Preuves de revenus/fonds du garant (Emploi/Banque)</span>
+                                                            </label>
+                                                            {renderDocumentDates('guarantorFinanceProof')}
+                                                        </>
+                                                    )}
+                                                    <h4 style={{ marginTop: '0.75rem' }}>Garants financiers</h4>
+                                                    <p className="hint">Détailler chaque garant : son engagement est retenu dans la limite de ses revenus, après les besoins de son propre foyer.</p>
+                                                    <GuarantorsEditor
+                                                        guarantors={formData.guarantors}
+                                                        analyzed={analysis.funds.guarantors && analysis.funds.guarantors.guarantors}
+                                                        onChange={(patch) => setFormData(prev => ({ ...prev, ...patch }))}
+                                                    />
+                                                    {renderFieldIssues('guarantors')}
                                                 </>
                                             ) : (
                                                 <>
@@ -772,13 +1057,28 @@ function App() {
                                                         <input type="checkbox" name="selfFinanceProof" checked={formData.selfFinanceProof} onChange={handleInputChange} />
                                                         <span>Preuves de fonds personnels (Banque/Bourse)</span>
                                                     </label>
-                                                    <label className="checkbox-item">
-                                                        <input type="checkbox" name="bankStatements6Months" checked={formData.bankStatements6Months} onChange={handleInputChange} />
-                                                        <span>Relévés bancaires (6 derniers mois complets)</span>
-                                                    </label>
+                                                    {renderDocumentDates('selfFinanceProof')}
+                                                    {formData.bankAccounts.length === 0 && (
+                                                        <>
+                                                            <label className="checkbox-item">
+                                                                <input type="checkbox" name="bankStatements6Months" checked={formData.bankStatements6Months} onChange={handleInputChange} />
+                                                                <span>Relévés bancaires (6 derniers mois complets)</span>
+                                                            </label>
+                                                            {renderDocumentDates('bankStatements6Months')}
+                                                        </>
+                                                    )}
                                                 </>
                                             )}
                                         </div>
+
+                                        <div className="sub-section">
+                                            <h3>Relevés bancaires (6 mois)</h3>
+                                            <p className="hint">Saisir ou importer les soldes mensuels et les dépôts importants de chaque compte pour une analyse détaillée.</p>
+                                            <BankLedgerEditor
+                                                accounts={formData.bankAccounts}
+                                                onChange={(accounts) => setFormData(prev => ({ ...prev, bankAccounts: accounts }))}
+                                            />
+                                        </div>
                                     </section>
 
                                     {/* 6. Document de Voyage */}
@@ -804,6 +1104,22 @@ function App() {
                                                 </label>
                                             </div>
                                         </div>
+                                        {formData.passportStatus !== 'absent' && (
+                                            <div className="form-row fade-in" style={{ marginTop: '1rem' }}>
+                                                <div className="form-group">
+                                                    <label>Numéro du passeport</label>
+                                                    <input name="passportNumber" value={formData.passportNumber} onChange={handleInputChange} />
+                                                </div>
+                                                <div className="form-group">
+                                                    <label>Pays de délivrance</label>
+                                                    <input name="passportCountry" value={formData.passportCountry} onChange={handleInputChange} />
+                                                </div>
+                                                <div className="form-group">
+                                                    <label>Date d'expiration</label>
+                                                    <input type="date" name="passportExpiry" value={formData.passportExpiry} onChange={handleInputChange} />
+                                                </div>
+                                            </div>
+                                        )}
                                         {formData.passportStatus === 'valid' && (
                                             <div className="checklist-input fade-in" style={{ marginTop: '1rem' }}>
                                                 <label className="checkbox-item">
@@ -868,6 +1184,18 @@ function App() {
                                                             <span>Durée du séjour des parents (Permis/Admission/Statut de résident)</span>
                                                         </label>
                                                     </div>
+                                                    <div className="form-group" style={{ marginTop: '1rem' }}>
+                                                        <label>Parents (nom, statut au Canada, fin du permis)</label>
+                                                        <ParentsEditor parents={formData.parents} onChange={(patch) => setFormData(prev => ({ ...prev, ...patch }))} />
+                                                        <span className="input-hint">Le CAQ du mineur sera limité au premier permis des parents accompagnateurs.</span>
+                                                    </div>
+                                                    {formData.parents.length === 0 && (
+                                                        <div className="form-group">
+                                                            <label>Fin du permis / statut du parent accompagnateur</label>
+                                                            <input type="date" name="parentPermitExpiry" value={formData.parentPermitExpiry} onChange={handleInputChange} />
+                                                            <span className="input-hint">Le CAQ du mineur sera limité à cette date.</span>
+                                                        </div>
+                                                    )}
                                                 </div>
                                             )}
 
@@ -879,15 +1207,20 @@ function App() {
                                                         Enfant accompagné par un seul parent. Preuve de garde exclusive OU consentement de l'autre parent requis.
                                                     </p>
                                                     <div className="checklist-input">
-                                                        <label className="checkbox-item">
-                                                            <input type="checkbox" name="legalCustody" checked={formData.legalCustody} onChange={handleInputChange} />
-                                                            <span>Jugement de garde exclusive</span>
-                                                        </label>
-                                                        <label className="checkbox-item">
-                                                            <input type="checkbox" name="otherParentConsent" checked={formData.otherParentConsent} onChange={handleInputChange} />
-                                                            <span>Formulaire de consentement (signé par le parent absent)</span>
-                                                        </label>
+                                                        {['soleCustodyProof', 'consentDeclaration', 'nonAccompanyingParentIdentity'].map(renderDocumentCheckbox)}
+                                                    </div>
+                                                    <div className="form-group" style={{ marginTop: '1rem' }}>
+                                                        <label>Parents (nom, statut au Canada, fin du permis)</label>
+                                                        <ParentsEditor parents={formData.parents} onChange={(patch) => setFormData(prev => ({ ...prev, ...patch }))} />
+                                                        <span className="input-hint">Le CAQ du mineur sera limité au premier permis des parents accompagnateurs.</span>
                                                     </div>
+                                                    {formData.parents.length === 0 && (
+                                                        <div className="form-group">
+                                                            <label>Fin du permis / statut du parent accompagnateur</label>
+                                                            <input type="date" name="parentPermitExpiry" value={formData.parentPermitExpiry} onChange={handleInputChange} />
+                                                            <span className="input-hint">Le CAQ du mineur sera limité à cette date.</span>
+                                                        </div>
+                                                    )}
                                                 </div>
                                             )}
 
@@ -899,23 +1232,15 @@ function App() {
                                                         Délégation de l'autorité parentale à un résident canadien requis.
                                                     </p>
                                                     <div className="checklist-input">
-                                                        <label className="checkbox-item">
-                                                            <input type="checkbox" name="delegationAuthority" checked={formData.delegationAuthority} onChange={handleInputChange} />
-                                                            <span>Déclaration de délégation de l'autorité parentale (signée parents)</span>
-                                                        </label>
-                                                        <label className="checkbox-item">
-                                                            <input type="checkbox" name="custodianshipDeclaration" checked={formData.custodianshipDeclaration} onChange={handleInputChange} />
-                                                            <span>Déclaration du gardien au Canada (signée gardien)</span>
-                                                        </label>
-                                                        <label className="checkbox-item">
-                                                            <input type="checkbox" name="custodianDoc" checked={formData.custodianDoc} onChange={handleInputChange} />
-                                                            <span>Preuve de citoyenneté/résidence du gardien</span>
-                                                        </label>
-                                                        <label className="checkbox-item">
-                                                            <input type="checkbox" name="criminalRecordCheck" checked={formData.criminalRecordCheck} onChange={handleInputChange} />
-                                                            <span>Absence d'antécédents judiciaires (tous adultes du foyer)</span>
-                                                        </label>
+                                                        {['parentalAuthorityDelegation', 'custodyDeclaration', 'responsibleAdultIdentity', 'citizenshipProof', 'residenceProof', 'criminalRecordCheck'].map(renderDocumentCheckbox)}
                                                     </div>
+                                                    <CustodianEditor
+                                                        custodian={formData.custodian}
+                                                        householdAdults={formData.householdAdults}
+                                                        onChange={(patch) => setFormData(prev => ({ ...prev, ...patch }))}
+                                                    />
+                                                    {renderFieldIssues('custodian')}
+                                                    {renderFieldIssues('householdAdults')}
                                                 </div>
                                             )}
 
@@ -950,8 +1275,17 @@ function App() {
                                     <div className="rec-info">
                                         <span className="category-label">{analysis.category || 'Categorie non specifiee'}</span>
                                         <div className="caq-period">
-                                            CAQ du <strong>{analysis.caqStart && analysis.caqStart.toString() !== 'Invalid Date' ? format(analysis.caqStart, 'dd/MM/yyyy') : '??'}</strong> au <strong>{analysis.caqEnd && analysis.caqEnd.toString() !== 'Invalid Date' ? format(analysis.caqEnd, 'dd/MM/yyyy') : '??'}</strong>
+                                            Analyse au <strong>{format(referenceDate, 'dd/MM/yyyy')}</strong>
                                         </div>
+                                        {analysis.summary.caqRequired ? (
+                                            <div className="caq-period">
+                                                CAQ du <strong>{analysis.caqStart && analysis.caqStart.toString() !== 'Invalid Date' ? format(analysis.caqStart, 'dd/MM/yyyy') : '??'}</strong> au <strong>{analysis.caqEnd && analysis.caqEnd.toString() !== 'Invalid Date' ? format(analysis.caqEnd, 'dd/MM/yyyy') : '??'}</strong>
+                                            </div>
+                                        ) : (
+                                            <div className="caq-period">
+                                                <strong>CAQ non requis</strong> — {analysis.exemptions.exemption.label}
+                                            </div>
+                                        )}
                                     </div>
                                     <div className="rec-text">
                                         <span className="label">RECOMMANDATION ADMINISTRATIVE</span>
@@ -960,11 +1294,21 @@ function App() {
                                     <div className="rec-stats">
                                         <div className="stat"><strong>{analysis.summary.blockingCount}</strong> Bloquants</div>
                                         <div className="stat"><strong>{analysis.summary.majorCount}</strong> Majeurs</div>
+                                        <div className="stat"><strong>{analysis.score === null ? '—' : `${analysis.score}/100`}</strong> Score</div>
                                     </div>
                                 </div>
 
+                                <ValidationBanner validation={analysis.validation} style={{ marginBottom: '1.5rem' }} />
+
                                 <div className="analysis-grid">
                                     <div className="column">
+                                        {!analysis.summary.caqRequired && (
+                                            <section className="card res-card">
+                                                <h2>Exemption de CAQ</h2>
+                                                <p>{analysis.exemptions.exemption.reason}</p>
+                                                <p className="hint">Référence : {analysis.exemptions.exemption.legalRef}. Les autres contrôles du dossier ne s'appliquent pas.</p>
+                                            </section>
+                                        )}
                                         {/* Only show Rapport d'Analyse Individuelle if there's actual timeline data to show besides basic CAQ dates */}
                                         {(timelineEvents.length > 0 || formData.startDate) && (
                                             <section className="card res-card mode-header-dossier">
@@ -984,6 +1328,38 @@ function App() {
                                                         <div className="hint">Marge Post-Études : <strong>{format(analysis.caqEnd, 'dd/MM/yyyy')}</strong></div>
                                                     </div>
                                                 )}
+                                                {analysis.caqValidity.constraints.length > 0 && (
+                                                    <div className="caq-constraints">
+                                                        <strong>Validité réduite :</strong>
+                                                        <ul>
+                                                            {analysis.caqValidity.constraints.map(constraint => (
+                                                                <li key={constraint.id}>{constraint.explanation}</li>
+                                                            ))}
+                                                        </ul>
+                                                    </div>
+                                                )}
+                                            </section>
+                                        )}
+
+                                        {analysis.ageTransitions && (analysis.ageTransitions.transitions.length > 0 || analysis.ageTransitions.renewal) && (
+                                            <section className="card res-card">
+                                                <h2>Évolution de l'âge pendant le séjour</h2>
+                                                <p className="hint">
+                                                    {analysis.ageTransitions.ageAtStart !== null && `${analysis.ageTransitions.ageAtStart} ans au début du programme`}
+                                                    {analysis.ageTransitions.ageAtEnd !== null && `, ${analysis.ageTransitions.ageAtEnd} ans à la fin.`}
+                                                </p>
+                                                {analysis.ageTransitions.transitions.map(transition => (
+                                                    <div key={transition.id} className="age-transition">
+                                                        <strong>{format(transition.date, 'dd/MM/yyyy')} — {transition.label}</strong>
+                                                        {!transition.inProgram && <span className="hint"> (hors programme, pendant la validité du CAQ)</span>}
+                                                        <ul>
+                                                            {transition.changes.map(change => <li key={change.topic}>{change.text}</li>)}
+                                                        </ul>
+                                                    </div>
+                                                ))}
+                                                {analysis.ageTransitions.renewal && (
+                                                    <p className="info-box">{analysis.ageTransitions.renewal.explanation}</p>
+                                                )}
                                             </section>
                                         )}
 
@@ -1002,8 +1378,28 @@ function App() {
                                             <h2>Analyse Financière</h2>
                                             {formData.financeMode === 'calculate' ? (
                                                 <div className="finance-status">
-                                                    <div className="summary-item"><span>Disponible:</span> <strong>{formData.availableFunds}$</strong></div>
-                                                    <div className="summary-item"><span>Seuil requis:</span> <strong>{FINANCIAL_THRESHOLDS[formData.studyLevel] || 24617}$</strong></div>
+                                                    {analysis.funds.lines.filter(line => line.currency !== 'CAD').map((line, idx) => (
+                                                        <div key={idx} className="summary-item" style={{ fontSize: '0.85rem', color: '#718096' }}>
+                                                            <span>{line.label || 'Source'} : {formatMoney(line.amount, line.currency)}</span> <span>≈ {formatAmount(line.cad)}</span>
+                                                        </div>
+                                                    ))}
+                                                    {analysis.funds.guarantors && analysis.funds.guarantors.guarantors.map((guarantor, idx) => (
+                                                        <div key={`guarantor-${idx}`} className="summary-item" style={{ fontSize: '0.85rem', color: '#718096' }}>
+                                                            <span>{guarantor.label} (engagement retenu)</span> <span>{formatAmount(guarantor.countedCad)}</span>
+                                                        </div>
+                                                    ))}
+                                                    {analysis.funds.scholarships.lines.map((line, idx) => (
+                                                        <div key={`scholarship-${idx}`} className="summary-item" style={{ fontSize: '0.85rem', color: '#718096' }}>
+                                                            <span>{line.label}</span> <span>{formatAmount(line.cad)}</span>
+                                                        </div>
+                                                    ))}
+                                                    <div className="summary-item"><span>Disponible:</span> <strong>{formatAmount(analysis.funds.totalCad)}</strong></div>
+                                                    <div className="summary-item"><span>Seuil requis ({analysis.requiredFunds.year}):</span> <strong>{formatAmount(analysis.requiredFunds.total)}</strong></div>
+                                                    {analysis.requiredFunds.breakdown.map((line, idx) => (
+                                                        <div key={idx} className="summary-item" style={{ fontSize: '0.85rem', color: '#718096' }}>
+                                                            <span>{line.label}</span> <span>{formatAmount(line.amount)}</span>
+                                                        </div>
+                                                    ))}
                                                     <div className="progress-bar-container" style={{
                                                         height: '12px',
                                                         background: '#edf2f7',
@@ -1013,8 +1409,8 @@ function App() {
                                                     }}>
                                                         <div className="progress-bar" style={{
                                                             height: '100%',
-                                                            width: `${Math.min(100, (formData.availableFunds / (FINANCIAL_THRESHOLDS[formData.studyLevel] || 24617)) * 100)}%`,
-                                                            background: formData.availableFunds >= (FINANCIAL_THRESHOLDS[formData.studyLevel] || 24617) ? '#48bb78' : '#e53e3e',
+                                                            width: `${Math.min(100, (analysis.funds.totalCad / analysis.requiredFunds.total) * 100)}%`,
+                                                            background: analysis.funds.totalCad >= analysis.requiredFunds.total ? '#48bb78' : '#e53e3e',
                                                             transition: 'width 0.5s ease-out'
                                                         }}></div>
                                                     </div>
@@ -1034,6 +1430,45 @@ function App() {
                                             <h2>Checklist des Manquements</h2>
                                             <Checklist controls={analysis.controls} />
                                         </section>
+                                        {analysis.scoreDeductions.length > 0 && (
+                                            <section className="card res-card">
+                                                <h2>Détail du score ({analysis.score}/100)</h2>
+                                                <div className="summary-list">
+                                                    {analysis.scoreDeductions.map(deduction => (
+                                                        <div key={deduction.id} className="summary-item">
+                                                            <span>{deduction.label} <em className="score-severity">({deduction.severity})</em></span>
+                                                            <strong>{deduction.points > 0 ? `-${deduction.points}` : 'plafonné'}</strong>
+                                                        </div>
+                                                    ))}
+                                                </div>
+                                            </section>
+                                        )}
+                                        {simulation && simulation.scenarios.length > 0 && (
+                                            <section className="card res-card">
+                                                <h2>Simulateur « Et si… »</h2>
+                                                {simulation.scenarios.map(scenario => (
+                                                    <div key={scenario.target} className="whatif-scenario">
+                                                        <p>
+                                                            {scenario.actions.length > 0 ? 'Si vous faites ceci' : 'Aucune action simulable'}
+                                                            {' → '}<strong>{scenario.target}</strong>
+                                                            {!scenario.isReachable && <span className="whatif-partial"> (non atteint)</span>}
+                                                            {' — score '}{simulation.score} → {scenario.score}/100
+                                                        </p>
+                                                        <ol>
+                                                            {scenario.actions.map(action => (
+                                                                <li key={action.id}>
+                                                                    {action.label.charAt(0).toUpperCase() + action.label.slice(1)}
+                                                                    {action.scoreGain > 0 && <span className="whatif-gain"> (+{action.scoreGain} pts)</span>}
+                                                                </li>
+                                                            ))}
+                                                        </ol>
+                                                        {scenario.unresolved.length > 0 && (
+                                                            <p className="hint">À traiter au cas par cas : {scenario.unresolved.join(', ')}</p>
+                                                        )}
+                                                    </div>
+                                                ))}
+                                            </section>
+                                        )}
                                     </div>
                                 </div>
 
@@ -1189,6 +1624,7 @@ function App() {
                     <Suspense fallback={<div style={{ position: 'fixed', inset: 0, background: '#020617', color: 'white', display: 'flex', alignItems: 'center', justifyContent: 'center', zIndex: 100000 }}>Chargement de l'espace 3D...</div>}>
                         <Timeline3D
                             events={timelineEvents}
+                            asOf={referenceDate}
                             onBack={() => setShow3DTimeline(false)}
                         />
                     </Suspense>
@@ -1299,6 +1735,23 @@ function App() {
         .insurance-row { display: flex; align-items: center; gap: 1rem; padding: 1rem 1.5rem; border-bottom: 1px solid #f1f5f9; animation: slideDown 0.3s ease-out; }
         .insurance-row:last-child { border-bottom: none; }
         .insurance-row input { flex: 1; padding: 0.6rem; font-size: 0.9rem; border: 1px solid var(--border); border-radius: 8px; }
+        .whatif-scenario { padding: 0.75rem 0; border-bottom: 1px solid #f1f5f9; font-size: 0.9rem; }
+        .whatif-scenario:last-child { border-bottom: none; }
+        .field-issue { display: block; font-size: 0.8rem; margin-top: 0.25rem; }
+        .field-issue.error { color: #e53e3e; }
+        .field-issue.warning { color: #b7791f; }
+        .document-dates { display: flex; gap: 1rem; margin: -0.25rem 0 0.5rem 1.75rem; font-size: 0.8rem; color: var(--text-muted); }
+        .document-dates label { display: inline-flex; align-items: center; gap: 0.4rem; }
+        .document-dates input { padding: 0.25rem 0.4rem; font-size: 0.8rem; }
+        .whatif-gain { color: #16a34a; font-size: 0.8rem; }
+        .score-severity { color: var(--text-muted); font-size: 0.8rem; }
+        .whatif-scenario ol { margin: 0.5rem 0 0 1.2rem; padding: 0; }
+        .whatif-partial { color: #e53e3e; font-size: 0.8rem; }
+        .caq-constraints { margin-top: 1rem; padding: 0.75rem 1rem; background: #fffaf0; border: 1px solid #fbd38d; border-radius: 10px; font-size: 0.85rem; }
+        .caq-constraints ul { margin: 0.5rem 0 0 1.2rem; padding: 0; }
+        .age-transition { margin-top: 0.75rem; font-size: 0.9rem; }
+        .age-transition ul { margin: 0.35rem 0 0 1.2rem; padding: 0; font-size: 0.85rem; }
+        .insurance-row select { padding: 0.6rem; font-size: 0.9rem; border: 1px solid var(--border); border-radius: 8px; }
         .insurance-row span { color: var(--text-muted); font-size: 0.85rem; font-weight: 500; }
         .insurance-row button { background: none; border: none; color: #e53e3e; cursor: pointer; padding: 0.4rem; font-size: 1.4rem; border-radius: 8px; display: flex; align-items: center; justify-content: center; }
         .insurance-row button:hover { background: #fff5f5; }
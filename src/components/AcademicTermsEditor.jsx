@@ -0,0 +1,62 @@
+import React from 'react';
+import { Plus } from 'lucide-react';
+import { ACADEMIC_PROGRESS_SETTINGS } from '../logic/academicProgress';
+
+const EMPTY_TERM = { label: '', end: '', creditsAttempted: '', creditsPassed: '', fullTimeThreshold: '', failures: '', withdrawals: '' };
+
+const AcademicTermsEditor = ({ terms, programCredits, studyLevel, onChange }) => {
+    const defaultThreshold = ACADEMIC_PROGRESS_SETTINGS.fullTimeThresholds[studyLevel];
+
+    const updateTerm = (index, key, value) => {
+        onChange({ academicTerms: terms.map((term, i) => i === index ? { ...term, [key]: value } : term) });
+    };
+
+    return (
+        <div className="terms-editor">
+            {terms.length > 0 && (
+                <div className="term-row term-head">
+                    <span>Session</span>
+                    <span>Fin</span>
+                    <span>Tentés</span>
+                    <span>Réussis</span>
+                    <span>Seuil TP</span>
+                    <span>Échecs</span>
+                    <span>Abandons</span>
+                    <span />
+                </div>
+            )}
+            {terms.map((term, index) => (
+                <div key={index} className="term-row">
+                    <input value={term.label} onChange={(e) => updateTerm(index, 'label', e.target.value)} placeholder="Automne 2024" />
+                    <input type="date" value={term.end} onChange={(e) => updateTerm(index, 'end', e.target.value)} />
+                    <input type="number" min="0" value={term.creditsAttempted} onChange={(e) => updateTerm(index, 'creditsAttempted', e.target.value)} />
+                    <input type="number" min="0" value={term.creditsPassed} onChange={(e) => updateTerm(index, 'creditsPassed', e.target.value)} />
+                    <input type="number" min="0" value={term.fullTimeThreshold} onChange={(e) => updateTerm(index, 'fullTimeThreshold', e.target.value)} placeholder={defaultThreshold !== undefined ? String(defaultThreshold) : ''} />
+                    <input type="number" min="0" value={term.failures} onChange={(e) => updateTerm(index, 'failures', e.target.value)} />
+                    <input type="number" min="0" value={term.withdrawals} onChange={(e) => updateTerm(index, 'withdrawals', e.target.value)} />
+                    <button className="btn-icon" onClick={() => onChange({ academicTerms: terms.filter((_, i) => i !== index) })}>×</button>
+                </div>
+            ))}
+            <button className="btn-secondary btn-small" onClick={() => onChange({ academicTerms: [...terms, { ...EMPTY_TERM }] })}>
+                <Plus size={14} /> Ajouter une session
+            </button>
+            {terms.length > 0 && (
+                <div className="form-group">
+                    <label>Crédits (ou cours) requis pour le programme</label>
+                    <input type="number" min="0" value={programCredits} onChange={(e) => onChange({ programCredits: e.target.value })} />
+                    <span className="input-hint">Sert à projeter la fin du programme au rythme actuel.</span>
+                </div>
+            )}
+
+            <style>{`
+        .terms-editor { display: flex; flex-direction: column; gap: 0.4rem; margin: 0.5rem 0; }
+        .terms-editor > .btn-small { align-self: flex-start; display: inline-flex; align-items: center; gap: 0.35rem; }
+        .term-row { display: grid; grid-template-columns: 1.6fr 1.4fr repeat(5, 0.8fr) auto; gap: 0.3rem; align-items: center; }
+        .term-row input { padding: 0.35rem; border: 1px solid var(--border); border-radius: 6px; font-size: 0.8rem; min-width: 0; }
+        .term-head span { font-size: 0.7rem; color: var(--text-muted); }
+      `}</style>
+        </div>
+    );
+};
+
+export default AcademicTermsEditor;
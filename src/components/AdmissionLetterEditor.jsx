@@ -0,0 +1,100 @@
+import React from 'react';
+import { Upload, RotateCcw } from 'lucide-react';
+import { parseDliRegistry, findInstitution, DEFAULT_DLI_REGISTRY } from '../logic/dliRegistry';
+
+const AdmissionLetterEditor = ({ letter, registry, onChange }) => {
+    const institution = findInstitution(registry, letter.admissionInstitution);
+    const update = (e) => onChange({ [e.target.name]: e.target.value });
+
+    const handleImport = (e) => {
+        const file = e.target.files && e.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            let imported = [];
+            try {
+                imported = parseDliRegistry(String(reader.result));
+            } catch (err) {
+                console.error(err);
+            }
+            if (imported.length === 0) {
+                alert("Aucun établissement reconnu dans ce fichier. Formats attendus : JSON [{ dliNumber, name, levels, campuses }] ou CSV dli,nom,niveaux,campus.");
+                return;
+            }
+            onChange({ dliRegistry: imported });
+        };
+        reader.readAsText(file);
+        e.target.value = '';
+    };
+
+    return (
+        <div className="admission-editor">
+            <div className="form-group">
+                <label>Établissement (nom ou numéro EED)</label>
+                <input name="admissionInstitution" list="dli-registry" value={letter.admissionInstitution} onChange={update} placeholder="Ex: Université Laval" />
+                <datalist id="dli-registry">
+                    {registry.map((entry, index) => <option key={index} value={entry.name}>{entry.dliNumber}</option>)}
+                </datalist>
+                {letter.admissionInstitution && (
+                    <span className="input-hint">
+                        {institution
+                            ? `Désigné${institution.dliNumber ? ` (${institution.dliNumber})` : ''} : ${institution.levels.join(', ')}${institution.campuses.length ? ` — ${institution.campuses.join(', ')}` : ''}`
+                            : 'Absent du registre'}
+                    </span>
+                )}
+            </div>
+            <div className="form-group">
+                <label>Code du programme</label>
+                <input name="admissionProgramCode" value={letter.admissionProgramCode} onChange={update} placeholder="Ex: 420.B0" />
+            </div>
+            <div className="grid-2">
+                <div className="form-group">
+                    <label>Début (selon la lettre)</label>
+                    <input type="date" name="admissionStartDate" value={letter.admissionStartDate} onChange={update} />
+                </div>
+                <div className="form-group">
+                    <label>Fin (selon la lettre)</label>
+                    <input type="date" name="admissionEndDate" value={letter.admissionEndDate} onChange={update} />
+                </div>
+            </div>
+            <div className="form-group">
+                <label>Conditions d'admission</label>
+                <input name="admissionConditions" value={letter.admissionConditions} onChange={update} placeholder="Vide si admission définitive" />
+            </div>
+            <div className="grid-2">
+                <div className="form-group">
+                    <label>Date d'émission</label>
+                    <input type="date" name="admissionIssueDate" value={letter.admissionIssueDate} onChange={update} />
+                </div>
+                <div className="form-group">
+                    <label>Ancienneté maximale (mois)</label>
+                    <input type="number" min="1" name="admissionLetterMaxAgeMonths" value={letter.admissionLetterMaxAgeMonths} onChange={update} />
+                </div>
+            </div>
+
+            <details className="registry-table">
+                <summary>Registre des établissements désignés ({registry.length})</summary>
+                <div className="ledger-actions">
+                    <label className="btn-secondary btn-small ledger-import">
+                        <Upload size={14} /> Charger JSON / CSV
+                        <input type="file" accept=".json,.csv,application/json,text/csv" onChange={handleImport} />
+                    </label>
+                    <button className="btn-secondary btn-small" onClick={() => onChange({ dliRegistry: DEFAULT_DLI_REGISTRY })}>
+                        <RotateCcw size={14} /> Registre par défaut
+                    </button>
+                </div>
+            </details>
+
+            <style>{`
+        .admission-editor { display: flex; flex-direction: column; gap: 0.5rem; margin: 0.5rem 0 0.75rem 1.5rem; }
+        .admission-editor .grid-2 { display: grid; grid-template-columns: 1fr 1fr; gap: 0.5rem; }
+        .registry-table summary { cursor: pointer; font-size: 0.85rem; color: var(--text-muted); }
+        .admission-editor .ledger-actions { display: flex; gap: 0.5rem; flex-wrap: wrap; margin-top: 0.5rem; }
+        .admission-editor .ledger-actions .btn-small { display: inline-flex; align-items: center; gap: 0.35rem; }
+        .admission-editor .ledger-import input { display: none; }
+      `}</style>
+        </div>
+    );
+};
+
+export default AdmissionLetterEditor;
@@ -0,0 +1,107 @@
+import React from 'react';
+import { Upload, Plus, Trash2 } from 'lucide-react';
+import { parseBankStatementsCsv } from '../logic/bankLedger';
+
+const EMPTY_ACCOUNT = { holder: '', bank: '', months: [], deposits: [] };
+
+const BankLedgerEditor = ({ accounts, onChange }) => {
+    const updateAccount = (index, patch) => {
+        onChange(accounts.map((account, i) => i === index ? { ...account, ...patch } : account));
+    };
+
+    const updateRow = (index, list, rowIndex, key, value) => {
+        const rows = accounts[index][list].map((row, i) => i === rowIndex ? { ...row, [key]: value } : row);
+        updateAccount(index, { [list]: rows });
+    };
+
+    const removeRow = (index, list, rowIndex) => {
+        updateAccount(index, { [list]: accounts[index][list].filter((_, i) => i !== rowIndex) });
+    };
+
+    const handleImport = (e) => {
+        const file = e.target.files && e.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            let imported = [];
+            try {
+                imported = parseBankStatementsCsv(String(reader.result));
+            } catch (err) {
+                console.error(err);
+            }
+            if (imported.length === 0) {
+                alert("Aucun relevé reconnu dans ce fichier. Colonnes attendues : titulaire, banque, type, date, montant, solde_ouverture, solde_fermeture, justifie.");
+                return;
+            }
+            onChange([...accounts, ...imported]);
+        };
+        reader.readAsText(file);
+        e.target.value = '';
+    };
+
+    return (
+        <div className="ledger-editor">
+            <div className="ledger-actions">
+                <button className="btn-secondary btn-small" onClick={() => onChange([...accounts, { ...EMPTY_ACCOUNT }])}>
+                    <Plus size={14} /> Ajouter un compte
+                </button>
+                <label className="btn-secondary btn-small ledger-import">
+                    <Upload size={14} /> Importer un CSV
+                    <input type="file" accept=".csv,text/csv" onChange={handleImport} />
+                </label>
+            </div>
+
+            {accounts.map((account, index) => (
+                <div key={index} className="insurance-manager ledger-account fade-in">
+                    <div className="manager-header">
+                        <input value={account.holder} onChange={(e) => updateAccount(index, { holder: e.target.value })} placeholder="Titulaire du compte" />
+                        <input value={account.bank} onChange={(e) => updateAccount(index, { bank: e.target.value })} placeholder="Banque" />
+                        <button className="btn-icon" onClick={() => onChange(accounts.filter((_, i) => i !== index))} title="Supprimer le compte">
+                            <Trash2 size={16} />
+                        </button>
+                    </div>
+
+                    <h4>Soldes mensuels</h4>
+                    {account.months.map((row, rowIndex) => (
+                        <div key={rowIndex} className="insurance-row">
+                            <input type="month" value={row.month} onChange={(e) => updateRow(index, 'months', rowIndex, 'month', e.target.value)} />
+                            <input type="number" value={row.opening} onChange={(e) => updateRow(index, 'months', rowIndex, 'opening', e.target.value)} placeholder="Ouverture" />
+                            <input type="number" value={row.closing} onChange={(e) => updateRow(index, 'months', rowIndex, 'closing', e.target.value)} placeholder="Fermeture" />
+                            <button className="btn-icon" onClick={() => removeRow(index, 'months', rowIndex)}>×</button>
+                        </div>
+                    ))}
+                    <button className="btn-secondary btn-small" onClick={() => updateAccount(index, { months: [...account.months, { month: '', opening: '', closing: '' }] })}>+ Ajouter un mois</button>
+
+                    <h4>Dépôts importants</h4>
+                    {account.deposits.map((row, rowIndex) => (
+                        <div key={rowIndex} className="insurance-row">
+                            <input type="date" value={row.date} onChange={(e) => updateRow(index, 'deposits', rowIndex, 'date', e.target.value)} />
+                            <input type="number" value={row.amount} onChange={(e) => updateRow(index, 'deposits', rowIndex, 'amount', e.target.value)} placeholder="Montant" />
+                            <input value={row.description} onChange={(e) => updateRow(index, 'deposits', rowIndex, 'description', e.target.value)} placeholder="Provenance" />
+                            <label className="checkbox-item">
+                                <input type="checkbox" checked={row.explained} onChange={(e) => updateRow(index, 'deposits', rowIndex, 'explained', e.target.checked)} />
+                                <span>Justifié</span>
+                            </label>
+                            <button className="btn-icon" onClick={() => removeRow(index, 'deposits', rowIndex)}>×</button>
+                        </div>
+                    ))}
+                    <button className="btn-secondary btn-small" onClick={() => updateAccount(index, { deposits: [...account.deposits, { date: '', amount: '', description: '', explained: false }] })}>+ Ajouter un dépôt</button>
+                </div>
+            ))}
+
+            <style>{`
+        .ledger-editor { display: flex; flex-direction: column; gap: 1rem; }
+        .ledger-actions { display: flex; gap: 0.5rem; flex-wrap: wrap; }
+        .ledger-actions .btn-small { display: inline-flex; align-items: center; gap: 0.35rem; }
+        .ledger-import input { display: none; }
+        .ledger-account { display: flex; flex-direction: column; gap: 0.5rem; padding-bottom: 1rem; }
+        .ledger-account h4 { margin: 0.5rem 1.5rem 0; font-size: 0.85rem; color: var(--text-muted); }
+        .ledger-account > .btn-small { align-self: flex-start; margin-left: 1.5rem; }
+        .ledger-account .manager-header { gap: 0.5rem; }
+        .ledger-account .manager-header input { flex: 1; padding: 0.5rem; border: 1px solid var(--border); border-radius: 8px; }
+      `}</style>
+        </div>
+    );
+};
+
+export default BankLedgerEditor;
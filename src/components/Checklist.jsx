@@ -1,8 +1,19 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { STATUS, SEVERITY } from '../logic/constants';
-import { AlertTriangle, XCircle, Info, CheckCircle2, Scale } from 'lucide-react';
+import { AlertTriangle, XCircle, Info, CheckCircle2, Scale, ChevronDown, ChevronRight } from 'lucide-react';
+
+// Readable value of a form field or derived fact in the explanation panel
+const formatValue = (value) => {
+    if (value === undefined || value === null || value === '') return '—';
+    if (typeof value === 'boolean') return value ? 'oui' : 'non';
+    if (Array.isArray(value)) return `${value.length} élément(s)`;
+    if (value instanceof Date) return value.toLocaleDateString('fr-CA');
+    if (typeof value === 'object') return '…';
+    return String(value);
+};
 
 const Checklist = ({ controls }) => {
+    const [explained, setExplained] = useState(null);
     const missingItems = controls.filter(c => c.status !== STATUS.OK);
 
     if (missingItems.length === 0) {
@@ -18,7 +29,7 @@ const Checklist = ({ controls }) => {
         <div className="checklist-container">
             <ul className="checklist-items">
                 {missingItems.map((item, i) => (
-                    <li key={i} className={`checklist-item ${item.severity.toLowerCase()}`}>
+                    <li key={item.id || i} className={`checklist-item ${item.severity.toLowerCase()}`}>
                         <div className="icon">
                             {item.severity === SEVERITY.BLOCKING ? <XCircle size={18} color="#c0392b" /> :
                                 item.severity === SEVERITY.MAJOR ? <AlertTriangle size={18} color="#e67e22" /> :
@@ -35,6 +46,37 @@ const Checklist = ({ controls }) => {
                                 )}
                             </div>
                             <p>{item.note}</p>
+                            {item.trace && (
+                                <button className="explain-toggle" onClick={() => setExplained(explained === item.id ? null : item.id)}>
+                                    {explained === item.id ? <ChevronDown size={12} /> : <ChevronRight size={12} />} expliquer
+                                </button>
+                            )}
+                            {explained === item.id && (
+                                <div className="explain-panel">
+                                    <div><span>Règle :</span> <code>{item.id}</code></div>
+                                    <div><span>Raisonnement :</span> {item.trace.join(' → ')}</div>
+                                    {item.inputs.length > 0 && (
+                                        <div>
+                                            <span>Champs lus :</span>
+                                            <ul>
+                                                {item.inputs.map(input => (
+                                                    <li key={input.field}><code>{input.field}</code> = {formatValue(input.value)}</li>
+                                                ))}
+                                            </ul>
+                                        </div>
+                                    )}
+                                    {item.facts.length > 0 && (
+                                        <div>
+                                            <span>Faits dérivés :</span>
+                                            <ul>
+                                                {item.facts.map(fact => (
+                                                    <li key={fact.name}><code>{fact.name}</code> = {formatValue(fact.value)}</li>
+                                                ))}
+                                            </ul>
+                                        </div>
+                                    )}
+                                </div>
+                            )}
                         </div>
                         <div className="severity-badge">{item.severity}</div>
                     </li>
@@ -76,6 +118,31 @@ const Checklist = ({ controls }) => {
         }
         .content strong { font-size: 0.95rem; }
         .content p { font-size: 0.85rem; color: #666; }
+        .explain-toggle {
+          margin-top: 0.4rem;
+          background: none;
+          border: none;
+          padding: 0;
+          font-size: 0.75rem;
+          color: #0c2540;
+          cursor: pointer;
+          display: inline-flex;
+          align-items: center;
+          gap: 2px;
+        }
+        .explain-panel {
+          margin-top: 0.5rem;
+          padding: 0.6rem 0.8rem;
+          background: rgba(10, 37, 64, 0.04);
+          border-radius: 6px;
+          font-size: 0.8rem;
+          display: flex;
+          flex-direction: column;
+          gap: 0.35rem;
+        }
+        .explain-panel span { font-weight: 600; }
+        .explain-panel ul { margin: 0.2rem 0 0 1.2rem; padding: 0; }
+        .explain-panel code { font-size: 0.75rem; }
         .severity-badge { 
           position: absolute; 
           top: 0.5rem; 
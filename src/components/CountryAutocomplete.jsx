@@ -0,0 +1,54 @@
+import React, { useState } from 'react';
+import { searchCountries, findCountry } from '../logic/countryRegistry';
+
+const describeResidence = (match) => (match
+    ? `${match.nameFr} (${match.code}) — finances vérifiées par ${match.financeVerifiedBy}`
+    : 'Pays absent du registre ISO 3166 : capacité financière contrôlée par défaut.');
+
+const CountryAutocomplete = ({ name = 'country', value, onChange, placeholder, describeMatch = describeResidence }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const suggestions = isOpen ? searchCountries(value) : [];
+    const match = findCountry(value);
+
+    const choose = (entry) => {
+        onChange({ [name]: entry.nameFr });
+        setIsOpen(false);
+    };
+
+    return (
+        <div className="country-autocomplete">
+            <input
+                name={name}
+                value={value}
+                autoComplete="off"
+                placeholder={placeholder}
+                onChange={(e) => { onChange({ [name]: e.target.value }); setIsOpen(true); }}
+                onFocus={() => setIsOpen(true)}
+                onBlur={() => setIsOpen(false)}
+            />
+            {suggestions.length > 0 && !(match && match.nameFr === value) && (
+                <ul className="country-suggestions">
+                    {suggestions.map(entry => (
+                        // onMouseDown fires before the blur that closes the list
+                        <li key={entry.code} onMouseDown={(e) => { e.preventDefault(); choose(entry); }}>
+                            {entry.nameFr} <span>{entry.code} · {entry.nameEn}</span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+            {value && (
+                <span className="input-hint">{describeMatch(match)}</span>
+            )}
+
+            <style>{`
+        .country-autocomplete { position: relative; }
+        .country-suggestions { position: absolute; z-index: 20; left: 0; right: 0; margin: 0.2rem 0 0; padding: 0.25rem 0; list-style: none; background: white; border: 1px solid var(--border); border-radius: 8px; box-shadow: 0 4px 12px rgba(0, 0, 0, 0.08); }
+        .country-suggestions li { padding: 0.4rem 0.75rem; cursor: pointer; font-size: 0.85rem; }
+        .country-suggestions li:hover { background: #f7fafc; }
+        .country-suggestions li span { color: var(--text-muted); font-size: 0.75rem; margin-left: 0.35rem; }
+      `}</style>
+        </div>
+    );
+};
+
+export default CountryAutocomplete;
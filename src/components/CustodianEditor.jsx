@@ -0,0 +1,77 @@
+import React from 'react';
+import { Plus } from 'lucide-react';
+import { CANADIAN_STATUS } from '../logic/minorGuardianship';
+
+const EMPTY_ADULT = { name: '', dob: '', policeCheck: false };
+
+const CustodianEditor = ({ custodian, householdAdults, onChange }) => {
+    const updateCustodian = (key, value) => onChange({ custodian: { ...custodian, [key]: value } });
+    const updateAdult = (index, key, value) => {
+        onChange({ householdAdults: householdAdults.map((adult, i) => i === index ? { ...adult, [key]: value } : adult) });
+    };
+
+    return (
+        <div className="custodian-editor">
+            <div className="custodian-grid">
+                <div className="form-group">
+                    <label>Nom du gardien</label>
+                    <input value={custodian.name} onChange={(e) => updateCustodian('name', e.target.value)} />
+                </div>
+                <div className="form-group">
+                    <label>Lien avec l'enfant</label>
+                    <input value={custodian.relationship} onChange={(e) => updateCustodian('relationship', e.target.value)} placeholder="Oncle, amie de la famille…" />
+                </div>
+                <div className="form-group">
+                    <label>Date de naissance</label>
+                    <input type="date" value={custodian.dob} onChange={(e) => updateCustodian('dob', e.target.value)} />
+                </div>
+                <div className="form-group">
+                    <label>Statut au Canada</label>
+                    <select value={custodian.status} onChange={(e) => updateCustodian('status', e.target.value)}>
+                        <option value="">— Statut —</option>
+                        {Object.entries(CANADIAN_STATUS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                    </select>
+                </div>
+                <div className="form-group">
+                    <label>Adresse</label>
+                    <input value={custodian.address} onChange={(e) => updateCustodian('address', e.target.value)} />
+                </div>
+                <div className="form-group">
+                    <label>Province</label>
+                    <input value={custodian.province} onChange={(e) => updateCustodian('province', e.target.value)} placeholder="QC" />
+                </div>
+            </div>
+            <label className="checkbox-item">
+                <input type="checkbox" checked={custodian.policeCheck} onChange={(e) => updateCustodian('policeCheck', e.target.checked)} />
+                <span>Vérification policière du gardien fournie</span>
+            </label>
+
+            <h4>Autres adultes vivant au foyer</h4>
+            {householdAdults.map((adult, index) => (
+                <div key={index} className="adult-row">
+                    <input value={adult.name} onChange={(e) => updateAdult(index, 'name', e.target.value)} placeholder="Nom" />
+                    <input type="date" value={adult.dob} onChange={(e) => updateAdult(index, 'dob', e.target.value)} />
+                    <label className="checkbox-item">
+                        <input type="checkbox" checked={adult.policeCheck} onChange={(e) => updateAdult(index, 'policeCheck', e.target.checked)} />
+                        <span>Vérification policière</span>
+                    </label>
+                    <button className="btn-icon" onClick={() => onChange({ householdAdults: householdAdults.filter((_, i) => i !== index) })}>×</button>
+                </div>
+            ))}
+            <button className="btn-secondary btn-small" onClick={() => onChange({ householdAdults: [...householdAdults, { ...EMPTY_ADULT }] })}>
+                <Plus size={14} /> Ajouter un adulte
+            </button>
+
+            <style>{`
+        .custodian-editor { display: flex; flex-direction: column; gap: 0.4rem; margin: 1rem 0 0.5rem; }
+        .custodian-editor > .btn-small { align-self: flex-start; display: inline-flex; align-items: center; gap: 0.35rem; }
+        .custodian-editor h4 { margin: 0.75rem 0 0.25rem; font-size: 0.85rem; }
+        .custodian-grid { display: grid; grid-template-columns: 1fr 1fr; gap: 0 0.75rem; }
+        .adult-row { display: grid; grid-template-columns: 1.6fr 1.2fr 1.4fr auto; gap: 0.3rem; align-items: center; }
+        .adult-row input:not([type="checkbox"]) { padding: 0.35rem; border: 1px solid var(--border); border-radius: 6px; font-size: 0.8rem; min-width: 0; }
+      `}</style>
+        </div>
+    );
+};
+
+export default CustodianEditor;
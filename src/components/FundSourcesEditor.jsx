@@ -0,0 +1,100 @@
+import React from 'react';
+import { Upload, Plus, RotateCcw } from 'lucide-react';
+import { parseExchangeRates, DEFAULT_EXCHANGE_RATES } from '../logic/exchangeRates';
+
+const CURRENCIES = ['CAD', ...new Set(DEFAULT_EXCHANGE_RATES.map(r => r.currency))];
+
+const FundSourcesEditor = ({ sources, rates, rateDate, onChange }) => {
+    const updateSource = (index, key, value) => {
+        onChange({ fundSources: sources.map((source, i) => i === index ? { ...source, [key]: value } : source) });
+    };
+
+    const updateRate = (index, key, value) => {
+        onChange({ exchangeRates: rates.map((rate, i) => i === index ? { ...rate, [key]: value } : rate) });
+    };
+
+    const handleImport = (e) => {
+        const file = e.target.files && e.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            let imported = [];
+            try {
+                imported = parseExchangeRates(String(reader.result));
+            } catch (err) {
+                console.error(err);
+            }
+            if (imported.length === 0) {
+                alert("Aucun taux reconnu dans ce fichier. Formats attendus : JSON [{ currency, date, rate }] ou CSV devise,date,taux.");
+                return;
+            }
+            onChange({ exchangeRates: imported });
+        };
+        reader.readAsText(file);
+        e.target.value = '';
+    };
+
+    return (
+        <div className="funds-editor">
+            {sources.map((source, index) => (
+                <div key={index} className="insurance-row">
+                    <input value={source.label} onChange={(e) => updateSource(index, 'label', e.target.value)} placeholder="Source (banque, bourse...)" />
+                    <input type="number" value={source.amount} onChange={(e) => updateSource(index, 'amount', e.target.value)} placeholder="Montant" />
+                    <select value={source.currency} onChange={(e) => updateSource(index, 'currency', e.target.value)}>
+                        {CURRENCIES.map(code => <option key={code} value={code}>{code}</option>)}
+                        {!CURRENCIES.includes(source.currency) && <option value={source.currency}>{source.currency}</option>}
+                    </select>
+                    <input type="date" value={source.date} onChange={(e) => updateSource(index, 'date', e.target.value)} title="Date du relevé" />
+                    <button className="btn-icon" onClick={() => onChange({ fundSources: sources.filter((_, i) => i !== index) })}>×</button>
+                </div>
+            ))}
+            <button className="btn-secondary btn-small" onClick={() => onChange({ fundSources: [...sources, { label: '', amount: '', currency: 'CAD', date: '' }] })}>
+                <Plus size={14} /> Ajouter une source de fonds
+            </button>
+
+            {sources.length > 0 && (
+                <details className="rates-table">
+                    <summary>Table des taux de change (hors ligne)</summary>
+                    <div className="form-group">
+                        <label>Date de conversion</label>
+                        <input type="date" value={rateDate} onChange={(e) => onChange({ exchangeRateDate: e.target.value })} />
+                        <span className="input-hint">Vide : date de l'analyse.</span>
+                    </div>
+                    {rates.map((rate, index) => (
+                        <div key={index} className="insurance-row">
+                            <input value={rate.currency} onChange={(e) => updateRate(index, 'currency', e.target.value.toUpperCase())} placeholder="Devise" maxLength={3} />
+                            <input type="date" value={rate.date} onChange={(e) => updateRate(index, 'date', e.target.value)} />
+                            <input type="number" step="any" value={rate.rate} onChange={(e) => updateRate(index, 'rate', e.target.value)} placeholder="1 unité = ? $ CAD" />
+                            <button className="btn-icon" onClick={() => onChange({ exchangeRates: rates.filter((_, i) => i !== index) })}>×</button>
+                        </div>
+                    ))}
+                    <div className="ledger-actions">
+                        <button className="btn-secondary btn-small" onClick={() => onChange({ exchangeRates: [...rates, { currency: '', date: '', rate: '' }] })}>
+                            <Plus size={14} /> Ajouter un taux
+                        </button>
+                        <label className="btn-secondary btn-small ledger-import">
+                            <Upload size={14} /> Charger JSON / CSV
+                            <input type="file" accept=".json,.csv,application/json,text/csv" onChange={handleImport} />
+                        </label>
+                        <button className="btn-secondary btn-small" onClick={() => onChange({ exchangeRates: DEFAULT_EXCHANGE_RATES })}>
+                            <RotateCcw size={14} /> Taux par défaut
+                        </button>
+                    </div>
+                </details>
+            )}
+
+            <style>{`
+        .funds-editor { display: flex; flex-direction: column; gap: 0.5rem; }
+        .funds-editor > .btn-small { align-self: flex-start; display: inline-flex; align-items: center; gap: 0.35rem; }
+        .funds-editor select { padding: 0.5rem; border: 1px solid var(--border); border-radius: 8px; }
+        .rates-table { margin-top: 0.5rem; display: flex; flex-direction: column; gap: 0.5rem; }
+        .rates-table summary { cursor: pointer; font-size: 0.85rem; color: var(--text-muted); margin-bottom: 0.5rem; }
+        .rates-table .ledger-actions { display: flex; gap: 0.5rem; flex-wrap: wrap; margin-top: 0.5rem; }
+        .rates-table .ledger-actions .btn-small { display: inline-flex; align-items: center; gap: 0.35rem; }
+        .rates-table .ledger-import input { display: none; }
+      `}</style>
+        </div>
+    );
+};
+
+export default FundSourcesEditor;
@@ -0,0 +1,115 @@
+import React from 'react';
+import { Plus } from 'lucide-react';
+import { GUARANTOR_RELATIONSHIP, GUARANTOR_DOCUMENTS } from '../logic/guarantors';
+import { findCountry } from '../logic/countryRegistry';
+import { DEFAULT_EXCHANGE_RATES } from '../logic/exchangeRates';
+import { formatAmount } from '../logic/financialThresholds';
+import CountryAutocomplete from './CountryAutocomplete';
+
+const CURRENCIES = ['CAD', ...new Set(DEFAULT_EXCHANGE_RATES.map(r => r.currency))];
+
+const EMPTY_GUARANTOR = {
+    name: '',
+    relationship: '',
+    country: '',
+    householdSize: '',
+    income: '',
+    committedAmount: '',
+    currency: 'CAD',
+    supportForm: false,
+    incomeProof: false,
+    identityProof: false,
+    statusProof: false
+};
+
+// `analyzed` holds the engine's view of each guarantor (capacity, missing documents), in the same order
+const GuarantorsEditor = ({ guarantors, analyzed, onChange }) => {
+    const updateGuarantor = (index, key, value) => {
+        onChange({ guarantors: guarantors.map((guarantor, i) => i === index ? { ...guarantor, [key]: value } : guarantor) });
+    };
+
+    return (
+        <div className="guarantors-editor">
+            {guarantors.map((guarantor, index) => {
+                const result = analyzed && analyzed.find(entry => entry.label === (guarantor.name || `Garant ${index + 1}`));
+                const country = findCountry(guarantor.country);
+                const documents = Object.keys(GUARANTOR_DOCUMENTS).filter(id => id !== 'statusProof' || (country && country.code === 'CA'));
+                return (
+                    <div key={index} className="guarantor-card">
+                        <div className="guarantor-grid">
+                            <div className="form-group">
+                                <label>Nom</label>
+                                <input value={guarantor.name} onChange={(e) => updateGuarantor(index, 'name', e.target.value)} placeholder={`Garant ${index + 1}`} />
+                            </div>
+                            <div className="form-group">
+                                <label>Lien avec le candidat</label>
+                                <select value={guarantor.relationship} onChange={(e) => updateGuarantor(index, 'relationship', e.target.value)}>
+                                    <option value="">— Lien —</option>
+                                    {Object.entries(GUARANTOR_RELATIONSHIP).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                                </select>
+                            </div>
+                            <div className="form-group">
+                                <label>Pays de résidence</label>
+                                <CountryAutocomplete
+                                    value={guarantor.country}
+                                    onChange={(patch) => updateGuarantor(index, 'country', patch.country)}
+                                    describeMatch={(match) => (match ? `${match.nameFr} (${match.code})` : 'Pays absent du registre.')}
+                                />
+                            </div>
+                            <div className="form-group">
+                                <label>Personnes au foyer (garant compris)</label>
+                                <input type="number" min="1" value={guarantor.householdSize} onChange={(e) => updateGuarantor(index, 'householdSize', e.target.value)} placeholder="1" />
+                            </div>
+                            <div className="form-group">
+                                <label>Revenu annuel</label>
+                                <input type="number" min="0" value={guarantor.income} onChange={(e) => updateGuarantor(index, 'income', e.target.value)} />
+                            </div>
+                            <div className="form-group">
+                                <label>Montant engagé</label>
+                                <div className="guarantor-amount">
+                                    <input type="number" min="0" value={guarantor.committedAmount} onChange={(e) => updateGuarantor(index, 'committedAmount', e.target.value)} />
+                                    <select value={guarantor.currency} onChange={(e) => updateGuarantor(index, 'currency', e.target.value)}>
+                                        {CURRENCIES.map(code => <option key={code} value={code}>{code}</option>)}
+                                        {!CURRENCIES.includes(guarantor.currency) && <option value={guarantor.currency}>{guarantor.currency}</option>}
+                                    </select>
+                                </div>
+                            </div>
+                        </div>
+                        <div className="guarantor-documents">
+                            {documents.map(id => (
+                                <label key={id} className="checkbox-item">
+                                    <input type="checkbox" checked={Boolean(guarantor[id])} onChange={(e) => updateGuarantor(index, id, e.target.checked)} />
+                                    <span>{GUARANTOR_DOCUMENTS[id]}</span>
+                                </label>
+                            ))}
+                        </div>
+                        {result && (
+                            <span className={`input-hint ${result.isCapable ? '' : 'guarantor-warning'}`}>
+                                Besoins du foyer {formatAmount(result.householdNeeds)} ; capacité {formatAmount(result.capacity)} pour un engagement de {formatAmount(result.committedCad)}.
+                            </span>
+                        )}
+                        <button className="btn-icon" onClick={() => onChange({ guarantors: guarantors.filter((_, i) => i !== index) })}>×</button>
+                    </div>
+                );
+            })}
+            <button className="btn-secondary btn-small" onClick={() => onChange({ guarantors: [...guarantors, { ...EMPTY_GUARANTOR }] })}>
+                <Plus size={14} /> Ajouter un garant
+            </button>
+
+            <style>{`
+        .guarantors-editor { display: flex; flex-direction: column; gap: 0.5rem; margin: 0.5rem 0; }
+        .guarantors-editor > .btn-small { align-self: flex-start; display: inline-flex; align-items: center; gap: 0.35rem; }
+        .guarantor-card { position: relative; padding: 0.75rem; border: 1px solid var(--border); border-radius: 8px; }
+        .guarantor-card > .btn-icon { position: absolute; top: 0.4rem; right: 0.4rem; }
+        .guarantor-grid { display: grid; grid-template-columns: 1fr 1fr; gap: 0 0.75rem; }
+        .guarantor-grid select { padding: 0.5rem; border: 1px solid var(--border); border-radius: 8px; }
+        .guarantor-amount { display: flex; gap: 0.3rem; }
+        .guarantor-amount input { flex: 1; min-width: 0; }
+        .guarantor-documents { display: flex; flex-wrap: wrap; gap: 0 1rem; }
+        .guarantor-warning { color: #c53030; }
+      `}</style>
+        </div>
+    );
+};
+
+export default GuarantorsEditor;
@@ -0,0 +1,58 @@
+import React from 'react';
+import { Plus } from 'lucide-react';
+import { CANADIAN_STATUS } from '../logic/minorGuardianship';
+
+const EMPTY_PARENT = { name: '', accompanying: true, status: '', permitExpiry: '' };
+
+const ParentsEditor = ({ parents, onChange }) => {
+    const updateParent = (index, key, value) => {
+        onChange({ parents: parents.map((parent, i) => i === index ? { ...parent, [key]: value } : parent) });
+    };
+
+    return (
+        <div className="parents-editor">
+            {parents.length > 0 && (
+                <div className="parent-row parent-head">
+                    <span>Nom</span>
+                    <span>Accompagne</span>
+                    <span>Statut au Canada</span>
+                    <span>Fin du permis</span>
+                    <span />
+                </div>
+            )}
+            {parents.map((parent, index) => (
+                <div key={index} className="parent-row">
+                    <input value={parent.name} onChange={(e) => updateParent(index, 'name', e.target.value)} placeholder="Nom du parent" />
+                    <input type="checkbox" checked={parent.accompanying} onChange={(e) => updateParent(index, 'accompanying', e.target.checked)} />
+                    <select value={parent.status} onChange={(e) => updateParent(index, 'status', e.target.value)}>
+                        <option value="">— Statut —</option>
+                        {Object.entries(CANADIAN_STATUS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                    </select>
+                    <input
+                        type="date"
+                        value={parent.permitExpiry}
+                        disabled={['citizen', 'permanentResident'].includes(parent.status)}
+                        onChange={(e) => updateParent(index, 'permitExpiry', e.target.value)}
+                    />
+                    <button className="btn-icon" onClick={() => onChange({ parents: parents.filter((_, i) => i !== index) })}>×</button>
+                </div>
+            ))}
+            {parents.length < 2 && (
+                <button className="btn-secondary btn-small" onClick={() => onChange({ parents: [...parents, { ...EMPTY_PARENT }] })}>
+                    <Plus size={14} /> Ajouter un parent
+                </button>
+            )}
+
+            <style>{`
+        .parents-editor { display: flex; flex-direction: column; gap: 0.4rem; margin: 0.5rem 0; }
+        .parents-editor > .btn-small { align-self: flex-start; display: inline-flex; align-items: center; gap: 0.35rem; }
+        .parent-row { display: grid; grid-template-columns: 1.6fr 0.8fr 1.6fr 1.3fr auto; gap: 0.3rem; align-items: center; }
+        .parent-row input, .parent-row select { padding: 0.35rem; border: 1px solid var(--border); border-radius: 6px; font-size: 0.8rem; min-width: 0; }
+        .parent-row input[type="checkbox"] { justify-self: center; }
+        .parent-head span { font-size: 0.7rem; color: var(--text-muted); }
+      `}</style>
+        </div>
+    );
+};
+
+export default ParentsEditor;
@@ -0,0 +1,44 @@
+import React from 'react';
+import { Plus } from 'lucide-react';
+import { DEFAULT_EXCHANGE_RATES } from '../logic/exchangeRates';
+
+const CURRENCIES = ['CAD', ...new Set(DEFAULT_EXCHANGE_RATES.map(r => r.currency))];
+
+const ScholarshipsEditor = ({ scholarships, onChange }) => {
+    const updateScholarship = (index, key, value) => {
+        onChange({ scholarships: scholarships.map((scholarship, i) => i === index ? { ...scholarship, [key]: value } : scholarship) });
+    };
+
+    return (
+        <div className="scholarships-editor">
+            {scholarships.map((scholarship, index) => (
+                <div key={index} className="insurance-row">
+                    <input value={scholarship.sponsor} onChange={(e) => updateScholarship(index, 'sponsor', e.target.value)} placeholder="Organisme (MIFI, gouvernement...)" />
+                    <input type="number" value={scholarship.amount} onChange={(e) => updateScholarship(index, 'amount', e.target.value)} placeholder="Montant" />
+                    <select value={scholarship.currency} onChange={(e) => updateScholarship(index, 'currency', e.target.value)}>
+                        {CURRENCIES.map(code => <option key={code} value={code}>{code}</option>)}
+                        {!CURRENCIES.includes(scholarship.currency) && <option value={scholarship.currency}>{scholarship.currency}</option>}
+                    </select>
+                    <input type="number" min="0" value={scholarship.durationMonths} onChange={(e) => updateScholarship(index, 'durationMonths', e.target.value)} placeholder="Durée (mois)" />
+                    <label className="checkbox-item" title="Lettre d'octroi fournie">
+                        <input type="checkbox" checked={Boolean(scholarship.documented)} onChange={(e) => updateScholarship(index, 'documented', e.target.checked)} />
+                        <span>Lettre d'octroi</span>
+                    </label>
+                    <button className="btn-icon" onClick={() => onChange({ scholarships: scholarships.filter((_, i) => i !== index) })}>×</button>
+                </div>
+            ))}
+            <button className="btn-secondary btn-small" onClick={() => onChange({ scholarships: [...scholarships, { sponsor: '', amount: '', currency: 'CAD', durationMonths: '', documented: false }] })}>
+                <Plus size={14} /> Ajouter une bourse
+            </button>
+
+            <style>{`
+        .scholarships-editor { display: flex; flex-direction: column; gap: 0.5rem; }
+        .scholarships-editor > .btn-small { align-self: flex-start; display: inline-flex; align-items: center; gap: 0.35rem; }
+        .scholarships-editor select { padding: 0.5rem; border: 1px solid var(--border); border-radius: 8px; }
+        .scholarships-editor .checkbox-item { white-space: nowrap; font-size: 0.8rem; }
+      `}</style>
+        </div>
+    );
+};
+
+export default ScholarshipsEditor;
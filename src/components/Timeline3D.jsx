@@ -118,7 +118,7 @@ const getDisplayLabel = event => {
     return label;
 };
 
-const Timeline3D = ({ events = [], onBack }) => {
+const Timeline3D = ({ events = [], asOf, onBack }) => {
     const containerRef = useRef(null);
     const canvasRef = useRef(null);
     const requestRef = useRef();
@@ -216,7 +216,7 @@ const Timeline3D = ({ events = [], onBack }) => {
             });
         });
 
-        const report = analyzeTimeline(events);
+        const report = analyzeTimeline(events, { asOf });
         const alerts = (report.allAlerts || [])
             .map((alert, idx) => {
                 const date = safeParseDate(alert.date);
@@ -248,7 +248,7 @@ const Timeline3D = ({ events = [], onBack }) => {
         });
 
         return { items, minDate, maxDate, totalDays, alerts };
-    }, [events]);
+    }, [events, asOf]);
 
     useEffect(() => {
         if (!containerRef.current || !canvasRef.current) return undefined;
@@ -0,0 +1,32 @@
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+
+const ValidationBanner = ({ validation, style }) => {
+    if (!validation || validation.issues.length === 0) return null;
+    const { errors, warnings } = validation;
+
+    return (
+        <div className={`validation-banner ${errors.length > 0 ? 'has-errors' : ''}`} style={style}>
+            <div className="validation-title">
+                <AlertTriangle size={18} />
+                <strong>{errors.length > 0 ? 'Données incohérentes' : 'Données à vérifier'}</strong>
+                {errors.length > 0 && <span> — aucune recommandation tant que ces erreurs ne sont pas corrigées</span>}
+            </div>
+            <ul>
+                {errors.map((issue, index) => <li key={`e${index}`} className="error">{issue.message}</li>)}
+                {warnings.map((issue, index) => <li key={`w${index}`} className="warning">{issue.message}</li>)}
+            </ul>
+
+            <style>{`
+        .validation-banner { border: 1px solid #f59e0b; background: #fffbeb; color: #92400e; border-radius: 12px; padding: 1rem 1.25rem; }
+        .validation-banner.has-errors { border-color: #e53e3e; background: #fff5f5; color: #9b2c2c; }
+        .validation-title { display: flex; align-items: center; gap: 0.5rem; font-size: 0.95rem; }
+        .validation-title span { font-size: 0.85rem; }
+        .validation-banner ul { margin: 0.5rem 0 0 1.6rem; padding: 0; font-size: 0.85rem; }
+        .validation-banner li.warning { color: #92400e; }
+      `}</style>
+        </div>
+    );
+};
+
+export default ValidationBanner;
@@ -0,0 +1,120 @@
+import { isAfter, addMonths, format } from 'date-fns';
+import { STUDY_LEVEL } from './constants.js';
+import { toDate, toNumber } from './parsing.js';
+
+// Settings of the academic progress analysis (renewals)
+export const ACADEMIC_PROGRESS_SETTINGS = {
+    // Full-time load per term, in the unit of the transcript (credits at university,
+    // courses at college, hours per week in vocational training)
+    fullTimeThresholds: {
+        [STUDY_LEVEL.UNIVERSITY]: 12,
+        [STUDY_LEVEL.COLLEGIAL]: 4,
+        [STUDY_LEVEL.PROFESSIONAL]: 15
+    },
+    // Share of the attempted load that may be failed or dropped in a term
+    maxFailureRate: 0.25,
+    // Terms with failed courses from which the failures are reported as repeated
+    repeatedFailureTerms: 2,
+    // Regular terms per year (autumn and winter), used to project the end of the program
+    termsPerYear: 2
+};
+
+const formatRate = (rate) => `${Math.round(rate * 100)} %`;
+
+/**
+ * Term-by-term analysis of the transcripts entered for a renewal.
+ * Each term is `{ label, end, creditsAttempted, creditsPassed, fullTimeThreshold, failures, withdrawals }`;
+ * the threshold defaults to the full-time load of `studyLevel`.
+ * Flags terms below the full-time load, terms whose failure rate exceeds `maxFailureRate`,
+ * failed courses repeated over `repeatedFailureTerms` terms or more, and projects the end of the program from the average load passed per term when
+ * `programCredits` is known. Returns null when no term has been entered.
+ */
+export function analyzeAcademicProgress(terms, { studyLevel, endDate, programCredits, asOf, settings = ACADEMIC_PROGRESS_SETTINGS } = {}) {
+    const entered = (terms || []).filter(term => toNumber(term.creditsAttempted) !== null);
+    if (entered.length === 0) return null;
+
+    const analyzed = entered.map((term, index) => {
+        const attempted = toNumber(term.creditsAttempted);
+        const passed = Math.min(toNumber(term.creditsPassed) ?? attempted, attempted);
+        const threshold = toNumber(term.fullTimeThreshold) ?? settings.fullTimeThresholds[studyLevel] ?? null;
+        const failureRate = attempted > 0 ? (attempted - passed) / attempted : 0;
+        return {
+            label: term.label || `Session ${index + 1}`,
+            end: toDate(term.end),
+            attempted,
+            passed,
+            threshold,
+            failures: toNumber(term.failures) || 0,
+            withdrawals: toNumber(term.withdrawals) || 0,
+            failureRate,
+            isPartTime: threshold !== null && attempted < threshold,
+            hasHighFailureRate: failureRate > settings.maxFailureRate
+        };
+    });
+
+    const failureTerms = analyzed.filter(term => term.failures > 0);
+    const totalAttempted = analyzed.reduce((sum, term) => sum + term.attempted, 0);
+    const totalPassed = analyzed.reduce((sum, term) => sum + term.passed, 0);
+
+    // Remaining load at the average pace so far, from the end of the last term entered
+    let projection = null;
+    const required = toNumber(programCredits);
+    const averagePassed = totalPassed / analyzed.length;
+    if (required !== null && averagePassed > 0) {
+        const remainingCredits = Math.max(required - totalPassed, 0);
+        const remainingTerms = Math.ceil(remainingCredits / averagePassed);
+        const lastEnd = analyzed.map(term => term.end).filter(Boolean).sort((a, b) => a - b).pop() || toDate(asOf) || new Date();
+        const projectedEnd = remainingTerms > 0 ? addMonths(lastEnd, Math.ceil(remainingTerms * 12 / settings.termsPerYear)) : lastEnd;
+        const declaredEnd = toDate(endDate);
+        projection = {
+            remainingCredits,
+            remainingTerms,
+            projectedEnd,
+            declaredEnd,
+            isOverrun: Boolean(declaredEnd) && isAfter(projectedEnd, declaredEnd)
+        };
+    }
+
+    return {
+        terms: analyzed,
+        totalAttempted,
+        totalPassed,
+        failureRate: totalAttempted > 0 ? (totalAttempted - totalPassed) / totalAttempted : 0,
+        maxFailureRate: settings.maxFailureRate,
+        partTimeTerms: analyzed.filter(term => term.isPartTime),
+        highFailureTerms: analyzed.filter(term => term.hasHighFailureRate),
+        failureTerms,
+        hasRepeatedFailures: failureTerms.length >= settings.repeatedFailureTerms,
+        withdrawals: analyzed.reduce((sum, term) => sum + term.withdrawals, 0),
+        projection
+    };
+}
+
+// "Automne 2024 : 9 / 12", used as evidence in the control notes
+export const describePartTimeTerms = (progress) => progress.partTimeTerms
+    .map(term => `${term.label} : ${term.attempted} / ${term.threshold}`)
+    .join(', ');
+
+/**
+ * Findings of the analysis as sentences for the client, empty when the progress is regular.
+ */
+export function describeProgressFindings(progress) {
+    const findings = [];
+    if (progress.highFailureTerms.length > 0) {
+        findings.push(`taux d'échec supérieur à ${formatRate(progress.maxFailureRate)} (${progress.highFailureTerms
+            .map(term => `${term.label} : ${formatRate(term.failureRate)}`)
+            .join(', ')})`);
+    }
+    if (progress.hasRepeatedFailures) {
+        findings.push(`échecs répétés sur ${progress.failureTerms.length} sessions (${progress.failureTerms
+            .map(term => `${term.label} : ${term.failures} cours`)
+            .join(', ')})`);
+    }
+    if (progress.withdrawals > 0) {
+        findings.push(`${progress.withdrawals} abandon(s) de cours`);
+    }
+    if (progress.projection && progress.projection.isOverrun) {
+        findings.push(`fin projetée le ${format(progress.projection.projectedEnd, 'dd/MM/yyyy')} au rythme actuel, après la fin déclarée du ${format(progress.projection.declaredEnd, 'dd/MM/yyyy')}`);
+    }
+    return findings;
+}
@@ -0,0 +1,43 @@
+import { isSameDay, isBefore, subMonths, differenceInMonths } from 'date-fns';
+import { findInstitution } from './dliRegistry.js';
+import { toDate } from './parsing.js';
+
+// Settings of the admission letter cross-checks
+export const ADMISSION_LETTER_SETTINGS = {
+    // Letters issued longer ago than this are considered outdated
+    maxAgeMonths: 12
+};
+
+const ADMISSION_FIELDS = ['admissionInstitution', 'admissionProgramCode', 'admissionStartDate', 'admissionEndDate', 'admissionConditions', 'admissionIssueDate'];
+
+/**
+ * Cross-checks the details of the admission letter against the DLI registry and the
+ * declared program: institution found and offering `studyLevel`, letter dates equal to
+ * `startDate` / `endDate`, conditions, and letter older than `maxAgeMonths` at `asOf`.
+ * Returns null while no detail of the letter has been entered.
+ */
+export function analyzeAdmissionLetter(data, { registry, asOf, maxAgeMonths = ADMISSION_LETTER_SETTINGS.maxAgeMonths } = {}) {
+    if (!ADMISSION_FIELDS.some(field => String(data[field] || '').trim())) return null;
+
+    const institution = findInstitution(registry, data.admissionInstitution);
+    const dateMismatches = [
+        { id: 'start', letter: toDate(data.admissionStartDate), declared: toDate(data.startDate) },
+        { id: 'end', letter: toDate(data.admissionEndDate), declared: toDate(data.endDate) }
+    ].filter(pair => pair.letter && pair.declared && !isSameDay(pair.letter, pair.declared));
+
+    const reference = toDate(asOf) || new Date();
+    const issueDate = toDate(data.admissionIssueDate);
+    const conditions = String(data.admissionConditions || '').trim();
+
+    return {
+        institution,
+        offersLevel: institution ? institution.levels.includes(data.studyLevel) : null,
+        dateMismatches,
+        conditions,
+        isConditional: conditions.length > 0,
+        issueDate,
+        ageMonths: issueDate ? differenceInMonths(reference, issueDate) : null,
+        maxAgeMonths,
+        isOutdated: Boolean(issueDate) && isBefore(issueDate, subMonths(reference, maxAgeMonths))
+    };
+}
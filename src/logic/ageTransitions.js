@@ -0,0 +1,111 @@
+import { addYears, differenceInYears, isAfter, isBefore, format } from 'date-fns';
+import { getThresholdTable, formatAmount } from './financialThresholds.js';
+import { AGE_OF_MAJORITY } from './minorGuardianship.js';
+import { toDate } from './parsing.js';
+
+// Official Quebec rule: from 17 the candidate follows the rules of adult candidates
+export const ADULT_RULES_AGE = 17;
+
+const formatDate = (date) => format(date, 'dd/MM/yyyy');
+
+// Requirements that change when each age is reached, for the situation of the minor
+const THRESHOLDS = [
+    {
+        age: ADULT_RULES_AGE,
+        id: 'adultRules',
+        label: `${ADULT_RULES_AGE} ans : règles des candidats majeurs`,
+        changes: (date, situation) => {
+            const table = getThresholdTable(date);
+            const changes = [];
+            if (situation === 'unaccompanied') {
+                changes.push({ topic: 'custodian', text: "Gardien : la délégation de l'autorité parentale et la prise en charge au Québec ne sont plus exigées." });
+            }
+            if (situation === 'one_parent') {
+                changes.push({ topic: 'consent', text: "Consentement : l'accord du parent non accompagnateur n'est plus exigé." });
+            }
+            if (['both_parents', 'one_parent'].includes(situation)) {
+                changes.push({ topic: 'validity', text: "Validité : le CAQ n'est plus limité au statut des parents." });
+            }
+            changes.push({
+                topic: 'finance',
+                text: `Capacité financière : barème adulte, ${formatAmount(table.student.adult.firstYear)} au lieu de ${formatAmount(table.student.minor.firstYear)} pour la 1re année (barème ${table.year}).`
+            });
+            return changes;
+        }
+    },
+    {
+        age: AGE_OF_MAJORITY,
+        id: 'majority',
+        label: `${AGE_OF_MAJORITY} ans : majorité civile`,
+        changes: (date, situation) => [
+            ...(situation === 'unaccompanied' ? [{ topic: 'custodian', text: "Gardien : fin de la tutelle ; le gardien ne répond plus de l'étudiant." }] : []),
+            { topic: 'consent', text: "Consentement : l'étudiant signe seul ses engagements, sans l'accord de ses parents." }
+        ]
+    }
+];
+
+/**
+ * Projects the age of the student over the program and the projected CAQ window.
+ * Returns `{ ageAtStart, ageAtEnd, transitions, renewal }`, or null without a date of birth:
+ * - `transitions` lists the thresholds crossed after `asOf` within the window, each
+ *   `{ age, id, label, date, inProgram, inCaq, changes: [{ topic, text }] }`;
+ * - `renewal`, when the CAQ ends before the program, gives the age at that date and
+ *   whether the renewal will follow the adult rules.
+ */
+export function analyzeAgeTransitions(dob, { programStart, programEnd, caqStart, caqEnd, minorSituation, asOf = new Date() } = {}) {
+    const birth = toDate(dob);
+    if (!birth) return null;
+
+    const reference = toDate(asOf) || new Date();
+    const start = toDate(programStart);
+    const end = toDate(programEnd);
+    const earliest = (dates) => dates.filter(Boolean).reduce((a, b) => (a && !isBefore(b, a) ? a : b), null);
+    const latest = (dates) => dates.filter(Boolean).reduce((a, b) => (a && isAfter(a, b) ? a : b), null);
+    // Thresholds already crossed at the analysis date are reflected by the current age
+    const windowStart = latest([earliest([start, toDate(caqStart)]), reference]);
+    const windowEnd = latest([end, toDate(caqEnd)]);
+    const isWithin = (date, from, to) => Boolean(from && to) && isAfter(date, from) && !isAfter(date, to);
+
+    const transitions = windowEnd
+        ? THRESHOLDS
+            .map(threshold => ({ threshold, date: addYears(birth, threshold.age) }))
+            .filter(({ date }) => isWithin(date, windowStart, windowEnd))
+            .map(({ threshold, date }) => ({
+                age: threshold.age,
+                id: threshold.id,
+                label: threshold.label,
+                date,
+                inProgram: isWithin(date, start, end),
+                inCaq: isWithin(date, toDate(caqStart), toDate(caqEnd)),
+                changes: threshold.changes(date, minorSituation)
+            }))
+        : [];
+
+    // A CAQ ending before the program calls for a renewal, under the rules of the age reached by then
+    const caqEndDate = toDate(caqEnd);
+    let renewal = null;
+    if (caqEndDate && end && isBefore(caqEndDate, end)) {
+        const ageAtRenewal = differenceInYears(caqEndDate, birth);
+        const followsAdultRules = ageAtRenewal >= ADULT_RULES_AGE;
+        renewal = {
+            dueBy: caqEndDate,
+            ageAtRenewal,
+            followsAdultRules,
+            explanation: followsAdultRules
+                ? `Renouvellement à déposer avant le ${formatDate(caqEndDate)} : l'étudiant aura ${ageAtRenewal} ans, la demande suivra les règles des majeurs.`
+                : `Renouvellement à déposer avant le ${formatDate(caqEndDate)} : l'étudiant aura ${ageAtRenewal} ans, les documents de mineur resteront exigés.`
+        };
+    }
+
+    return {
+        ageAtStart: start ? differenceInYears(start, birth) : null,
+        ageAtEnd: end ? differenceInYears(end, birth) : null,
+        transitions,
+        renewal
+    };
+}
+
+// One line per transition, for the control notes
+export const describeTransitions = (transitions) => transitions
+    .map(transition => `${transition.label} le ${formatDate(transition.date)}`)
+    .join(' ; ');
@@ -0,0 +1,214 @@
+import { parseISO, format, subMonths, differenceInDays } from 'date-fns';
+import { toDate, toNumber } from './parsing.js';
+
+// Settings of the six-month proof of funds analysis
+export const LEDGER_SETTINGS = {
+    requiredMonths: 6,
+    // The last statement may be at most this many months before the submission month
+    maxStatementLagMonths: 1,
+    // Deposits from this amount are reviewed for "parked funds"
+    largeDepositAmount: 5000,
+    // Unexplained large deposits made within this window before filing are flagged
+    parkedFundsWindowDays: 90
+};
+
+// Amounts of an export that do not parse are kept as written, so the analysis can report them
+const csvAmount = (value) => (value ? toNumber(value) ?? value : 0);
+
+const monthKey = (date) => format(date, 'yyyy-MM');
+const isMonthKey = (value) => /^\d{4}-\d{2}$/.test(String(value || ''));
+
+// Local date from the date column of a bank export: yyyy-MM-dd, yyyy/MM/dd, dd/MM/yyyy
+// (also with "-" or "."), or a month alone (yyyy-MM, MM/yyyy). Null when it does not parse.
+const parseStatementDate = (value) => {
+    const text = String(value || '').trim();
+    const isoMatch = text.match(/^(\d{4})[-/.](\d{1,2})(?:[-/.](\d{1,2}))?$/);
+    const frenchMatch = text.match(/^(?:(\d{1,2})[-/.])?(\d{1,2})[-/.](\d{4})$/);
+    const [year, month, day] = isoMatch
+        ? [isoMatch[1], isoMatch[2], isoMatch[3] || 1]
+        : frenchMatch ? [frenchMatch[3], frenchMatch[2], frenchMatch[1] || 1] : [];
+    if (!year) return null;
+    const date = new Date(Number(year), Number(month) - 1, Number(day));
+    // Rejects impossible dates such as 31/02/2025, which Date would roll over
+    return date.getMonth() === Number(month) - 1 && date.getDate() === Number(day) ? date : null;
+};
+
+// Lowercase, accent-free word set used to compare account holders with the payer
+const nameTokens = (name) => (name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z]+/)
+    .filter(token => token.length > 1);
+
+export function namesMatch(a, b) {
+    const tokensA = nameTokens(a);
+    const tokensB = nameTokens(b);
+    if (tokensA.length === 0 || tokensB.length === 0) return false;
+    const [shorter, longer] = tokensA.length <= tokensB.length ? [tokensA, tokensB] : [tokensB, tokensA];
+    return shorter.every(token => longer.includes(token));
+}
+
+const CSV_COLUMNS = {
+    holder: ['titulaire', 'holder'],
+    bank: ['banque', 'bank', 'compte', 'account'],
+    type: ['type'],
+    date: ['date', 'mois', 'month'],
+    amount: ['montant', 'amount'],
+    opening: ['solde_ouverture', 'ouverture', 'opening'],
+    closing: ['solde_fermeture', 'fermeture', 'closing'],
+    explained: ['justifie', 'justifié', 'explained'],
+    description: ['description', 'motif']
+};
+
+/**
+ * Parses a bank statement CSV export (comma or semicolon separated) into accounts.
+ * One row per month (type "solde") or per large deposit (type "depot"):
+ *
+ *   titulaire;banque;type;date;montant;solde_ouverture;solde_fermeture;justifie;description
+ *   Awa Diop;BOA;solde;2025-01;;1200;3400;;
+ *   Awa Diop;BOA;depot;2025-03-15;15000;;;non;Vente terrain
+ *
+ * Rows are grouped into accounts by holder and bank. Dates may also be written dd/MM/yyyy or
+ * yyyy/MM/dd; rows whose date does not parse are skipped. Amounts may use either decimal
+ * convention ("1 234,56", "1,234.56"); those that do not parse are kept as text.
+ */
+export function parseBankStatementsCsv(text) {
+    const lines = (text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    if (lines.length < 2) return [];
+
+    const separator = lines[0].includes(';') ? ';' : ',';
+    const headers = lines[0].split(separator).map(h => h.trim().toLowerCase());
+    const columnIndex = Object.fromEntries(Object.entries(CSV_COLUMNS).map(([key, aliases]) =>
+        [key, headers.findIndex(h => aliases.includes(h))]
+    ));
+    const read = (cells, key) => (columnIndex[key] >= 0 ? (cells[columnIndex[key]] || '').trim() : '');
+
+    const accounts = [];
+    lines.slice(1).forEach(line => {
+        const cells = line.split(separator);
+        const date = parseStatementDate(read(cells, 'date'));
+        if (!date) return;
+        const holder = read(cells, 'holder');
+        const bank = read(cells, 'bank');
+        let account = accounts.find(a => a.holder === holder && a.bank === bank);
+        if (!account) {
+            account = { holder, bank, months: [], deposits: [] };
+            accounts.push(account);
+        }
+
+        const type = read(cells, 'type').toLowerCase();
+        if (type.startsWith('dep') || type.startsWith('dép')) {
+            account.deposits.push({
+                date: format(date, 'yyyy-MM-dd'),
+                amount: csvAmount(read(cells, 'amount')),
+                explained: ['oui', 'yes', 'true', '1', 'x'].includes(read(cells, 'explained').toLowerCase()),
+                description: read(cells, 'description')
+            });
+        } else {
+            account.months.push({
+                month: monthKey(date),
+                opening: csvAmount(read(cells, 'opening')),
+                closing: csvAmount(read(cells, 'closing'))
+            });
+        }
+    });
+
+    return accounts;
+}
+
+// The `count` months ending with `endKey` ('yyyy-MM'), oldest first; empty for any other key
+const monthWindow = (endKey, count) => {
+    if (!isMonthKey(endKey)) return [];
+    const end = parseISO(`${endKey}-01`);
+    const window = [];
+    for (let i = count - 1; i >= 0; i--) {
+        window.push(monthKey(subMonths(end, i)));
+    }
+    return window;
+};
+
+// The statements must cover consecutive months ending close to the submission date
+const analyzeCoverage = (account, oldestAcceptable, settings) => {
+    // Months entered by hand or saved by an earlier version may not be 'yyyy-MM'
+    const months = new Set((account.months || []).map(m => m.month).filter(isMonthKey));
+    const latestMonth = [...months].sort().pop() || null;
+    const isRecent = Boolean(latestMonth) && latestMonth >= oldestAcceptable;
+    const window = monthWindow(isRecent ? latestMonth : oldestAcceptable, settings.requiredMonths);
+    const missingMonths = window.filter(m => !months.has(m));
+
+    return {
+        latestMonth,
+        isRecent,
+        missingMonths,
+        isComplete: isRecent && missingMonths.length === 0
+    };
+};
+
+/**
+ * Analyzes the six-month bank statements of one or more accounts.
+ * Returns the per-account coverage, the unexplained recent large deposits,
+ * the holders that do not match the payer and the average balance over the period.
+ * `issues` lists the amounts that cannot be read (`{ account, row, value }`): they count as 0,
+ * so the average is not reliable until they are corrected.
+ */
+export function analyzeBankLedger(accounts, { referenceDate, payerName, threshold = 0, settings = LEDGER_SETTINGS } = {}) {
+    const reference = toDate(referenceDate) || new Date();
+    const list = accounts || [];
+
+    const oldestAcceptable = monthKey(subMonths(reference, settings.maxStatementLagMonths));
+
+    const coverage = list.map(account => ({
+        account,
+        ...analyzeCoverage(account, oldestAcceptable, settings)
+    }));
+
+    // Amounts entered or imported that do not parse as numbers
+    const issues = [];
+    const isUnreadable = (value) => toNumber(value) === null && String(value ?? '').trim() !== '';
+    const readAmount = (value) => toNumber(value) ?? 0;
+    list.forEach(account => {
+        (account.months || []).forEach(month => ['opening', 'closing']
+            .filter(key => isUnreadable(month[key]))
+            .forEach(key => issues.push({ account, row: `${key === 'opening' ? 'ouverture' : 'fermeture'} ${month.month}`, value: String(month[key]) })));
+        (account.deposits || []).filter(deposit => isUnreadable(deposit.amount))
+            .forEach(deposit => issues.push({ account, row: `dépôt du ${deposit.date}`, value: String(deposit.amount) }));
+    });
+
+    const parkedDeposits = [];
+    list.forEach(account => {
+        (account.deposits || []).forEach(deposit => {
+            const date = toDate(deposit.date);
+            const amount = readAmount(deposit.amount);
+            if (!date || deposit.explained || amount < settings.largeDepositAmount) return;
+            const daysBeforeFiling = differenceInDays(reference, date);
+            if (daysBeforeFiling >= 0 && daysBeforeFiling <= settings.parkedFundsWindowDays) {
+                parkedDeposits.push({ account, ...deposit, amount, daysBeforeFiling });
+            }
+        });
+    });
+
+    const mismatchedHolders = payerName
+        ? list.filter(account => !namesMatch(account.holder, payerName))
+        : [];
+
+    // Average of the combined monthly closing balances over the analyzed period
+    const recentMonths = coverage.filter(c => c.isRecent).map(c => c.latestMonth).sort();
+    const periodEnd = recentMonths.length > 0 ? recentMonths[recentMonths.length - 1] : oldestAcceptable;
+    const monthlyTotals = monthWindow(periodEnd, settings.requiredMonths).map(month => list.reduce((sum, account) => {
+        const entry = (account.months || []).find(m => m.month === month);
+        return sum + (entry ? readAmount(entry.closing) : 0);
+    }, 0));
+    const averageBalance = monthlyTotals.reduce((sum, value) => sum + value, 0) / monthlyTotals.length;
+
+    return {
+        coverage,
+        isCoverageComplete: list.length > 0 && coverage.every(c => c.isComplete),
+        parkedDeposits,
+        mismatchedHolders,
+        averageBalance,
+        issues,
+        threshold,
+        isAverageSufficient: averageBalance >= threshold
+    };
+}
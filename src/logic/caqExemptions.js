@@ -0,0 +1,60 @@
+import { PROGRAM_TYPE } from './constants.js';
+
+// Parent statuses that exempt a minor already in Québec from the CAQ (primary / secondary)
+export const EXEMPTING_PARENT_STATUS = {
+    worker: 'Travailleur temporaire',
+    student: 'Étudiant étranger'
+};
+
+// Situations in which no CAQ is needed, checked in order; the first match wins
+export const EXEMPTION_CASES = [
+    {
+        id: 'SHORT_PROGRAM',
+        label: 'Programme de 6 mois ou moins',
+        appliesWhen: (data, ctx) => ctx.isShortProgram,
+        reason: 'Le programme se termine au plus 6 mois après son début : les études de courte durée ne nécessitent pas de CAQ.',
+        legalRef: 'Art. 3 RIQ'
+    },
+    {
+        id: 'MINOR_IN_QUEBEC',
+        label: 'Mineur déjà au Québec, parent titulaire d\'un statut',
+        appliesWhen: (data, ctx) => !ctx.isAdult && ctx.isPrimary && Boolean(data.minorAlreadyInQuebec)
+            && Boolean(EXEMPTING_PARENT_STATUS[data.parentStatusInQuebec]),
+        reason: 'Enfant mineur déjà au Québec dont un parent est travailleur temporaire ou étudiant étranger : pas de CAQ pour le primaire/secondaire.',
+        legalRef: 'Art. 3 RIQ'
+    },
+    {
+        id: 'EXCHANGE_AGREEMENT',
+        label: 'Échange étudiant couvert par une entente',
+        appliesWhen: (data) => data.programType === PROGRAM_TYPE.EXCHANGE && Boolean(data.exchangeUnderAgreement),
+        reason: 'Étudiant en échange dans le cadre d\'une entente reconnue par le Québec : le séjour d\'études ne nécessite pas de CAQ.',
+        legalRef: 'Art. 3 RIQ'
+    },
+    {
+        id: 'DIPLOMAT_FAMILY',
+        label: 'Membre de la famille d\'un diplomate',
+        appliesWhen: (data) => Boolean(data.isDiplomatFamily),
+        reason: 'Membre de la famille d\'un agent diplomatique, consulaire ou d\'une organisation internationale accrédité au Canada : pas de CAQ requis.',
+        legalRef: 'Art. 3 RIQ'
+    }
+];
+
+/**
+ * Decides whether the dossier needs a CAQ at all.
+ * Returns `{ isCaqRequired, exemption, checks }`: the first matching case (or null)
+ * and, for the reasoning, every case with whether it applied.
+ */
+export function evaluateExemptions(data, ctx, cases = EXEMPTION_CASES) {
+    const checks = cases.map(exemptionCase => ({
+        id: exemptionCase.id,
+        label: exemptionCase.label,
+        applies: Boolean(exemptionCase.appliesWhen(data, ctx))
+    }));
+    const match = cases.find((exemptionCase, i) => checks[i].applies) || null;
+
+    return {
+        isCaqRequired: !match,
+        exemption: match && { id: match.id, label: match.label, reason: match.reason, legalRef: match.legalRef },
+        checks
+    };
+}
@@ -0,0 +1,57 @@
+import { addMonths, subMonths, isBefore, format } from 'date-fns';
+import { toDate } from './parsing.js';
+
+// Settings of the expected CAQ validity period
+export const CAQ_VALIDITY_SETTINGS = {
+    // The CAQ starts before the program to allow the installation
+    leadMonths: 1,
+    // Grace period after the end of the program
+    graceMonths: 3,
+    // Longest validity granted for a single CAQ; longer programs need a renewal
+    maxMonths: 48
+};
+
+const formatDate = (date) => format(date, 'dd/MM/yyyy');
+
+/**
+ * Expected validity of the CAQ: program dates plus the lead and grace periods,
+ * then shortened by each cap that ends earlier (maximum duration, permit of the
+ * accompanying parent for minors in situation A or B, passport expiry).
+ * Returns `{ start, end, nominalEnd, constraints }` where `constraints` lists,
+ * in order, the caps that shortened the period with an explanation for the client.
+ */
+export function computeCaqValidity({ programStart, programEnd, parentPermitEnd, passportExpiry, settings = CAQ_VALIDITY_SETTINGS } = {}) {
+    const startDate = toDate(programStart);
+    const endDate = toDate(programEnd);
+    const start = startDate ? subMonths(startDate, settings.leadMonths) : null;
+    const nominalEnd = endDate ? addMonths(endDate, settings.graceMonths) : null;
+
+    const constraints = [];
+    let end = nominalEnd;
+    const cap = (id, date, explanation) => {
+        if (!end || !date || !isBefore(date, end)) return;
+        end = date;
+        constraints.push({ id, date, explanation });
+    };
+
+    if (start) {
+        const maxEnd = addMonths(start, settings.maxMonths);
+        cap('maxDuration', maxEnd,
+            `Durée maximale de ${settings.maxMonths} mois atteinte : CAQ limité au ${formatDate(maxEnd)}, un renouvellement sera nécessaire.`);
+    }
+
+    const parentEnd = toDate(parentPermitEnd);
+    cap('parentPermit', parentEnd,
+        parentEnd && `Le CAQ du mineur ne peut dépasser le statut du parent accompagnateur (fin le ${formatDate(parentEnd)}).`);
+
+    const passportEnd = toDate(passportExpiry);
+    cap('passport', passportEnd,
+        passportEnd && `Le passeport expire le ${formatDate(passportEnd)} : la validité est plafonnée à cette date.`);
+
+    return {
+        start,
+        end,
+        nominalEnd,
+        constraints
+    };
+}
@@ -2,7 +2,8 @@ export const STATUS = {
     OK: 'OK',
     MISSING: 'Manquant',
     INCONSISTENT: 'Incohérent',
-    EXPIRED: 'Expiré'
+    EXPIRED: 'Expiré',
+    INSUFFICIENT: 'Insuffisant'
 };
 
 export const SEVERITY = {
@@ -14,7 +15,9 @@ export const SEVERITY = {
 export const RECOMMENDATION = {
     ACCEPTABLE: 'Acceptable',
     COMPLETE: 'À compléter',
-    HIGH_RISK: 'Risque élevé'
+    HIGH_RISK: 'Risque élevé',
+    // Blocking input errors: no recommendation until the form is corrected
+    INVALID_INPUT: 'Données incohérentes'
 };
 
 export const APPLICATION_TYPE = {
@@ -29,11 +32,37 @@ export const STUDY_LEVEL = {
     UNIVERSITY: 'Universitaire'
 };
 
-export const FINANCIAL_THRESHOLDS = {
-    SINGLE_ADULT: 24617, // Updated for 2025
-    MINOR: 7739, // Roughly half or as per latest GPI
-    TRANSPORTATION: 2000,
-    INSTALLATION: 500
+export const PROGRAM_TYPE = {
+    AEC: 'AEC',
+    DEP: 'DEP',
+    DEC: 'DEC',
+    BACHELOR: 'Baccalauréat',
+    MASTER: 'Maîtrise',
+    DOCTORATE: 'Doctorat',
+    LANGUAGE: 'Cours de langue',
+    RESEARCH_INTERNSHIP: 'Stage de recherche',
+    EXCHANGE: 'Échange étudiant'
+};
+
+// Study level expected for each credential (language courses, internships and exchanges can be at any level)
+export const PROGRAM_TYPE_LEVEL = {
+    [PROGRAM_TYPE.AEC]: STUDY_LEVEL.COLLEGIAL,
+    [PROGRAM_TYPE.DEC]: STUDY_LEVEL.COLLEGIAL,
+    [PROGRAM_TYPE.DEP]: STUDY_LEVEL.PROFESSIONAL,
+    [PROGRAM_TYPE.BACHELOR]: STUDY_LEVEL.UNIVERSITY,
+    [PROGRAM_TYPE.MASTER]: STUDY_LEVEL.UNIVERSITY,
+    [PROGRAM_TYPE.DOCTORATE]: STUDY_LEVEL.UNIVERSITY
+};
+
+export const STUDY_LOAD = {
+    FULL_TIME: 'Temps plein',
+    PART_TIME: 'Temps partiel'
+};
+
+export const DELIVERY_MODE = {
+    IN_PERSON: 'Présentiel',
+    HYBRID: 'Hybride',
+    DISTANCE: 'À distance'
 };
 
 export const DOSSIER_CATEGORY = {
@@ -46,16 +75,3 @@ export const DOSSIER_CATEGORY = {
     MIN_1_C: 'MINEUR Première demande (Exemption financière)',
     MIN_R_C: 'MINEUR Renouvellement (Exemption financière)'
 };
-
-export const FINANCE_MIFI_COUNTRIES = [
-    'Autriche',
-    'Canada',
-    'États-Unis',
-    'France',
-    'Groenland',
-    'Hong Kong',
-    'Île de La Réunion',
-    'Monaco',
-    'Mexique',
-    'Saint-Pierre-et-Miquelon'
-];
@@ -0,0 +1,324 @@
+// Registry of the countries and territories of residence, keyed by ISO 3166-1 alpha-2 code.
+// - financeVerifiedBy: authority that verifies the financial capacity (MIFI at the CAQ stage, otherwise IRCC)
+// - socialSecurityAgreement: Québec social security agreement covering students (RAMQ)
+// - tuitionExemption: agreement exempting the students from the international tuition fees, or null
+// The list covers ISO 3166-1: an entry without attributes is an IRCC territory without agreement.
+export const FINANCE_VERIFIER = {
+    MIFI: 'MIFI',
+    IRCC: 'IRCC'
+};
+
+const country = (code, nameFr, nameEn, { aliases = [], finance = FINANCE_VERIFIER.IRCC, socialSecurity = false, tuition = null } = {}) => ({
+    code,
+    nameFr,
+    nameEn,
+    aliases,
+    financeVerifiedBy: finance,
+    socialSecurityAgreement: socialSecurity,
+    tuitionExemption: tuition
+});
+
+const MIFI = FINANCE_VERIFIER.MIFI;
+
+export const COUNTRY_REGISTRY = [
+    // Territories whose finances are verified by MIFI
+    country('AT', 'Autriche', 'Austria', { aliases: ['AUT', 'Österreich'], finance: MIFI }),
+    country('CA', 'Canada', 'Canada', { aliases: ['CAN'], finance: MIFI }),
+    country('US', 'États-Unis', 'United States', { aliases: ['USA', 'Etats-Unis d\'Amérique', 'United States of America'], finance: MIFI }),
+    country('FR', 'France', 'France', { aliases: ['FRA', 'France métropolitaine'], finance: MIFI, socialSecurity: true, tuition: 'Entente France-Québec' }),
+    country('GL', 'Groenland', 'Greenland', { aliases: ['GRL'], finance: MIFI }),
+    country('HK', 'Hong Kong', 'Hong Kong', { aliases: ['HKG', 'Hong-Kong'], finance: MIFI }),
+    country('RE', 'Île de La Réunion', 'Réunion', { aliases: ['REU', 'La Réunion', 'Réunion'], finance: MIFI, socialSecurity: true, tuition: 'Entente France-Québec' }),
+    country('MC', 'Monaco', 'Monaco', { aliases: ['MCO'], finance: MIFI }),
+    country('MX', 'Mexique', 'Mexico', { aliases: ['MEX', 'México'], finance: MIFI }),
+    country('PM', 'Saint-Pierre-et-Miquelon', 'Saint Pierre and Miquelon', { aliases: ['SPM'], finance: MIFI, socialSecurity: true, tuition: 'Entente France-Québec' }),
+
+    // Countries with a social security agreement covering students
+    country('BE', 'Belgique', 'Belgium', { aliases: ['BEL', 'België'], socialSecurity: true, tuition: 'Entente Québec-Wallonie-Bruxelles' }),
+    country('DK', 'Danemark', 'Denmark', { aliases: ['DNK'], socialSecurity: true }),
+    country('FI', 'Finlande', 'Finland', { aliases: ['FIN', 'Suomi'], socialSecurity: true }),
+    country('GR', 'Grèce', 'Greece', { aliases: ['GRC'], socialSecurity: true }),
+    country('LU', 'Luxembourg', 'Luxembourg', { aliases: ['LUX'], socialSecurity: true }),
+    country('NO', 'Norvège', 'Norway', { aliases: ['NOR', 'Norge'], socialSecurity: true }),
+    country('PT', 'Portugal', 'Portugal', { aliases: ['PRT'], socialSecurity: true }),
+    country('RO', 'Roumanie', 'Romania', { aliases: ['ROU', 'România'], socialSecurity: true }),
+    country('SE', 'Suède', 'Sweden', { aliases: ['SWE', 'Sverige'], socialSecurity: true }),
+
+    // Other countries and territories, finances verified by IRCC
+    country('AF', 'Afghanistan', 'Afghanistan', { aliases: ['AFG'] }),
+    country('ZA', 'Afrique du Sud', 'South Africa', { aliases: ['ZAF'] }),
+    country('AL', 'Albanie', 'Albania', { aliases: ['ALB'] }),
+    country('DZ', 'Algérie', 'Algeria', { aliases: ['DZA'] }),
+    country('DE', 'Allemagne', 'Germany', { aliases: ['DEU', 'Deutschland'] }),
+    country('AD', 'Andorre', 'Andorra', { aliases: ['AND'] }),
+    country('AO', 'Angola', 'Angola', { aliases: ['AGO'] }),
+    country('AI', 'Anguilla', 'Anguilla', { aliases: ['AIA'] }),
+    country('AQ', 'Antarctique', 'Antarctica', { aliases: ['ATA'] }),
+    country('AG', 'Antigua-et-Barbuda', 'Antigua and Barbuda', { aliases: ['ATG'] }),
+    country('SA', 'Arabie saoudite', 'Saudi Arabia', { aliases: ['SAU'] }),
+    country('AR', 'Argentine', 'Argentina', { aliases: ['ARG'] }),
+    country('AM', 'Arménie', 'Armenia', { aliases: ['ARM'] }),
+    country('AW', 'Aruba', 'Aruba', { aliases: ['ABW'] }),
+    country('AU', 'Australie', 'Australia', { aliases: ['AUS'] }),
+    country('AZ', 'Azerbaïdjan', 'Azerbaijan', { aliases: ['AZE'] }),
+    country('BS', 'Bahamas', 'Bahamas', { aliases: ['BHS'] }),
+    country('BH', 'Bahreïn', 'Bahrain', { aliases: ['BHR'] }),
+    country('BD', 'Bangladesh', 'Bangladesh', { aliases: ['BGD'] }),
+    country('BB', 'Barbade', 'Barbados', { aliases: ['BRB'] }),
+    country('BZ', 'Belize', 'Belize', { aliases: ['BLZ'] }),
+    country('BJ', 'Bénin', 'Benin', { aliases: ['BEN'] }),
+    country('BM', 'Bermudes', 'Bermuda', { aliases: ['BMU'] }),
+    country('BT', 'Bhoutan', 'Bhutan', { aliases: ['BTN'] }),
+    country('BY', 'Biélorussie', 'Belarus', { aliases: ['BLR', 'Bélarus'] }),
+    country('BO', 'Bolivie', 'Bolivia', { aliases: ['BOL'] }),
+    country('BA', 'Bosnie-Herzégovine', 'Bosnia and Herzegovina', { aliases: ['BIH'] }),
+    country('BW', 'Botswana', 'Botswana', { aliases: ['BWA'] }),
+    country('BR', 'Brésil', 'Brazil', { aliases: ['BRA', 'Brasil'] }),
+    country('BN', 'Brunéi Darussalam', 'Brunei', { aliases: ['BRN', 'Brunéi'] }),
+    country('BG', 'Bulgarie', 'Bulgaria', { aliases: ['BGR'] }),
+    country('BF', 'Burkina Faso', 'Burkina Faso', { aliases: ['BFA'] }),
+    country('BI', 'Burundi', 'Burundi', { aliases: ['BDI'] }),
+    country('KH', 'Cambodge', 'Cambodia', { aliases: ['KHM'] }),
+    country('CM', 'Cameroun', 'Cameroon', { aliases: ['CMR'] }),
+    country('CV', 'Cap-Vert', 'Cabo Verde', { aliases: ['CPV', 'Cape Verde'] }),
+    country('CL', 'Chili', 'Chile', { aliases: ['CHL'] }),
+    country('CN', 'Chine', 'China', { aliases: ['CHN', 'République populaire de Chine'] }),
+    country('CY', 'Chypre', 'Cyprus', { aliases: ['CYP'] }),
+    country('CO', 'Colombie', 'Colombia', { aliases: ['COL'] }),
+    country('KM', 'Comores', 'Comoros', { aliases: ['COM'] }),
+    country('CG', 'Congo', 'Republic of the Congo', { aliases: ['COG', 'Congo-Brazzaville', 'République du Congo'] }),
+    country('KP', 'Corée du Nord', 'North Korea', { aliases: ['PRK'] }),
+    country('KR', 'Corée du Sud', 'South Korea', { aliases: ['KOR', 'Corée', 'Republic of Korea'] }),
+    country('CR', 'Costa Rica', 'Costa Rica', { aliases: ['CRI'] }),
+    country('CI', "Côte d'Ivoire", 'Ivory Coast', { aliases: ['CIV', 'Cote d Ivoire'] }),
+    country('HR', 'Croatie', 'Croatia', { aliases: ['HRV'] }),
+    country('CU', 'Cuba', 'Cuba', { aliases: ['CUB'] }),
+    country('CW', 'Curaçao', 'Curaçao', { aliases: ['CUW'] }),
+    country('DJ', 'Djibouti', 'Djibouti', { aliases: ['DJI'] }),
+    country('DM', 'Dominique', 'Dominica', { aliases: ['DMA'] }),
+    country('EG', 'Égypte', 'Egypt', { aliases: ['EGY'] }),
+    country('AE', 'Émirats arabes unis', 'United Arab Emirates', { aliases: ['ARE', 'EAU', 'UAE'] }),
+    country('EC', 'Équateur', 'Ecuador', { aliases: ['ECU'] }),
+    country('ER', 'Érythrée', 'Eritrea', { aliases: ['ERI'] }),
+    country('ES', 'Espagne', 'Spain', { aliases: ['ESP', 'España'] }),
+    country('EE', 'Estonie', 'Estonia', { aliases: ['EST'] }),
+    country('SZ', 'Eswatini', 'Eswatini', { aliases: ['SWZ', 'Swaziland'] }),
+    country('ET', 'Éthiopie', 'Ethiopia', { aliases: ['ETH'] }),
+    country('FJ', 'Fidji', 'Fiji', { aliases: ['FJI'] }),
+    country('GA', 'Gabon', 'Gabon', { aliases: ['GAB'] }),
+    country('GM', 'Gambie', 'Gambia', { aliases: ['GMB'] }),
+    country('GE', 'Géorgie', 'Georgia', { aliases: ['GEO'] }),
+    country('GS', 'Géorgie du Sud-et-les Îles Sandwich du Sud', 'South Georgia and the South Sandwich Islands', { aliases: ['SGS'] }),
+    country('GH', 'Ghana', 'Ghana', { aliases: ['GHA'] }),
+    country('GI', 'Gibraltar', 'Gibraltar', { aliases: ['GIB'] }),
+    country('GD', 'Grenade', 'Grenada', { aliases: ['GRD'] }),
+    country('GP', 'Guadeloupe', 'Guadeloupe', { aliases: ['GLP'] }),
+    country('GU', 'Guam', 'Guam', { aliases: ['GUM'] }),
+    country('GT', 'Guatemala', 'Guatemala', { aliases: ['GTM'] }),
+    country('GG', 'Guernesey', 'Guernsey', { aliases: ['GGY'] }),
+    country('GN', 'Guinée', 'Guinea', { aliases: ['GIN', 'Guinée-Conakry'] }),
+    country('GQ', 'Guinée équatoriale', 'Equatorial Guinea', { aliases: ['GNQ'] }),
+    country('GW', 'Guinée-Bissau', 'Guinea-Bissau', { aliases: ['GNB'] }),
+    country('GY', 'Guyana', 'Guyana', { aliases: ['GUY'] }),
+    country('GF', 'Guyane française', 'French Guiana', { aliases: ['GUF', 'Guyane'] }),
+    country('HT', 'Haïti', 'Haiti', { aliases: ['HTI'] }),
+    country('HN', 'Honduras', 'Honduras', { aliases: ['HND'] }),
+    country('HU', 'Hongrie', 'Hungary', { aliases: ['HUN'] }),
+    country('BV', 'Île Bouvet', 'Bouvet Island', { aliases: ['BVT'] }),
+    country('CX', 'Île Christmas', 'Christmas Island', { aliases: ['CXR'] }),
+    country('IM', 'Île de Man', 'Isle of Man', { aliases: ['IMN'] }),
+    country('NF', 'Île Norfolk', 'Norfolk Island', { aliases: ['NFK'] }),
+    country('AX', 'Îles Åland', 'Åland Islands', { aliases: ['ALA'] }),
+    country('KY', 'Îles Caïmans', 'Cayman Islands', { aliases: ['CYM'] }),
+    country('CC', 'Îles Cocos', 'Cocos (Keeling) Islands', { aliases: ['CCK'] }),
+    country('CK', 'Îles Cook', 'Cook Islands', { aliases: ['COK'] }),
+    country('FO', 'Îles Féroé', 'Faroe Islands', { aliases: ['FRO'] }),
+    country('HM', 'Îles Heard-et-MacDonald', 'Heard Island and McDonald Islands', { aliases: ['HMD'] }),
+    country('FK', 'Îles Malouines', 'Falkland Islands', { aliases: ['FLK', 'Malouines'] }),
+    country('MP', 'Îles Mariannes du Nord', 'Northern Mariana Islands', { aliases: ['MNP'] }),
+    country('MH', 'Îles Marshall', 'Marshall Islands', { aliases: ['MHL'] }),
+    country('UM', 'Îles mineures éloignées des États-Unis', 'United States Minor Outlying Islands', { aliases: ['UMI'] }),
+    country('PN', 'Îles Pitcairn', 'Pitcairn Islands', { aliases: ['PCN'] }),
+    country('SB', 'Îles Salomon', 'Solomon Islands', { aliases: ['SLB'] }),
+    country('TC', 'Îles Turques-et-Caïques', 'Turks and Caicos Islands', { aliases: ['TCA'] }),
+    country('VG', 'Îles Vierges britanniques', 'British Virgin Islands', { aliases: ['VGB'] }),
+    country('VI', 'Îles Vierges des États-Unis', 'United States Virgin Islands', { aliases: ['VIR'] }),
+    country('IN', 'Inde', 'India', { aliases: ['IND'] }),
+    country('ID', 'Indonésie', 'Indonesia', { aliases: ['IDN'] }),
+    country('IQ', 'Irak', 'Iraq', { aliases: ['IRQ'] }),
+    country('IR', 'Iran', 'Iran', { aliases: ['IRN'] }),
+    country('IE', 'Irlande', 'Ireland', { aliases: ['IRL'] }),
+    country('IS', 'Islande', 'Iceland', { aliases: ['ISL'] }),
+    country('IL', 'Israël', 'Israel', { aliases: ['ISR'] }),
+    country('IT', 'Italie', 'Italy', { aliases: ['ITA', 'Italia'] }),
+    country('JM', 'Jamaïque', 'Jamaica', { aliases: ['JAM'] }),
+    country('JP', 'Japon', 'Japan', { aliases: ['JPN'] }),
+    country('JE', 'Jersey', 'Jersey', { aliases: ['JEY'] }),
+    country('JO', 'Jordanie', 'Jordan', { aliases: ['JOR'] }),
+    country('KZ', 'Kazakhstan', 'Kazakhstan', { aliases: ['KAZ'] }),
+    country('KE', 'Kenya', 'Kenya', { aliases: ['KEN'] }),
+    country('KG', 'Kirghizistan', 'Kyrgyzstan', { aliases: ['KGZ'] }),
+    country('KI', 'Kiribati', 'Kiribati', { aliases: ['KIR'] }),
+    country('KW', 'Koweït', 'Kuwait', { aliases: ['KWT'] }),
+    country('LA', 'Laos', 'Laos', { aliases: ['LAO'] }),
+    country('LS', 'Lesotho', 'Lesotho', { aliases: ['LSO'] }),
+    country('LV', 'Lettonie', 'Latvia', { aliases: ['LVA'] }),
+    country('LB', 'Liban', 'Lebanon', { aliases: ['LBN'] }),
+    country('LR', 'Liberia', 'Liberia', { aliases: ['LBR', 'Libéria'] }),
+    country('LY', 'Libye', 'Libya', { aliases: ['LBY'] }),
+    country('LI', 'Liechtenstein', 'Liechtenstein', { aliases: ['LIE'] }),
+    country('LT', 'Lituanie', 'Lithuania', { aliases: ['LTU'] }),
+    country('MO', 'Macao', 'Macao', { aliases: ['MAC', 'Macau'] }),
+    country('MK', 'Macédoine du Nord', 'North Macedonia', { aliases: ['MKD'] }),
+    country('MG', 'Madagascar', 'Madagascar', { aliases: ['MDG'] }),
+    country('MY', 'Malaisie', 'Malaysia', { aliases: ['MYS'] }),
+    country('MW', 'Malawi', 'Malawi', { aliases: ['MWI'] }),
+    country('MV', 'Maldives', 'Maldives', { aliases: ['MDV'] }),
+    country('ML', 'Mali', 'Mali', { aliases: ['MLI'] }),
+    country('MT', 'Malte', 'Malta', { aliases: ['MLT'] }),
+    country('MA', 'Maroc', 'Morocco', { aliases: ['MAR'] }),
+    country('MQ', 'Martinique', 'Martinique', { aliases: ['MTQ'] }),
+    country('MU', 'Maurice', 'Mauritius', { aliases: ['MUS', 'Île Maurice'] }),
+    country('MR', 'Mauritanie', 'Mauritania', { aliases: ['MRT'] }),
+    country('YT', 'Mayotte', 'Mayotte', { aliases: ['MYT'] }),
+    country('FM', 'Micronésie', 'Micronesia', { aliases: ['FSM'] }),
+    country('MD', 'Moldavie', 'Moldova', { aliases: ['MDA'] }),
+    country('MN', 'Mongolie', 'Mongolia', { aliases: ['MNG'] }),
+    country('ME', 'Monténégro', 'Montenegro', { aliases: ['MNE'] }),
+    country('MS', 'Montserrat', 'Montserrat', { aliases: ['MSR'] }),
+    country('MZ', 'Mozambique', 'Mozambique', { aliases: ['MOZ'] }),
+    country('MM', 'Myanmar', 'Myanmar', { aliases: ['MMR', 'Birmanie', 'Burma'] }),
+    country('NA', 'Namibie', 'Namibia', { aliases: ['NAM'] }),
+    country('NR', 'Nauru', 'Nauru', { aliases: ['NRU'] }),
+    country('NP', 'Népal', 'Nepal', { aliases: ['NPL'] }),
+    country('NI', 'Nicaragua', 'Nicaragua', { aliases: ['NIC'] }),
+    country('NE', 'Niger', 'Niger', { aliases: ['NER'] }),
+    country('NG', 'Nigeria', 'Nigeria', { aliases: ['NGA', 'Nigéria'] }),
+    country('NU', 'Niue', 'Niue', { aliases: ['NIU'] }),
+    country('NC', 'Nouvelle-Calédonie', 'New Caledonia', { aliases: ['NCL'] }),
+    country('NZ', 'Nouvelle-Zélande', 'New Zealand', { aliases: ['NZL'] }),
+    country('OM', 'Oman', 'Oman', { aliases: ['OMN'] }),
+    country('UG', 'Ouganda', 'Uganda', { aliases: ['UGA'] }),
+    country('UZ', 'Ouzbékistan', 'Uzbekistan', { aliases: ['UZB'] }),
+    country('PK', 'Pakistan', 'Pakistan', { aliases: ['PAK'] }),
+    country('PW', 'Palaos', 'Palau', { aliases: ['PLW'] }),
+    country('PS', 'Palestine', 'Palestine', { aliases: ['PSE'] }),
+    country('PA', 'Panama', 'Panama', { aliases: ['PAN'] }),
+    country('PG', 'Papouasie-Nouvelle-Guinée', 'Papua New Guinea', { aliases: ['PNG'] }),
+    country('PY', 'Paraguay', 'Paraguay', { aliases: ['PRY'] }),
+    country('NL', 'Pays-Bas', 'Netherlands', { aliases: ['NLD', 'Hollande'] }),
+    country('BQ', 'Pays-Bas caribéens', 'Caribbean Netherlands', { aliases: ['BES', 'Bonaire'] }),
+    country('PE', 'Pérou', 'Peru', { aliases: ['PER'] }),
+    country('PH', 'Philippines', 'Philippines', { aliases: ['PHL'] }),
+    country('PL', 'Pologne', 'Poland', { aliases: ['POL'] }),
+    country('PF', 'Polynésie française', 'French Polynesia', { aliases: ['PYF'] }),
+    country('PR', 'Porto Rico', 'Puerto Rico', { aliases: ['PRI'] }),
+    country('QA', 'Qatar', 'Qatar', { aliases: ['QAT'] }),
+    country('CF', 'République centrafricaine', 'Central African Republic', { aliases: ['CAF', 'Centrafrique'] }),
+    country('CD', 'République démocratique du Congo', 'Democratic Republic of the Congo', { aliases: ['COD', 'RDC', 'Congo-Kinshasa'] }),
+    country('DO', 'République dominicaine', 'Dominican Republic', { aliases: ['DOM'] }),
+    country('GB', 'Royaume-Uni', 'United Kingdom', { aliases: ['GBR', 'UK', 'Angleterre', 'Grande-Bretagne'] }),
+    country('RU', 'Russie', 'Russia', { aliases: ['RUS', 'Fédération de Russie', 'Russian Federation'] }),
+    country('RW', 'Rwanda', 'Rwanda', { aliases: ['RWA'] }),
+    country('EH', 'Sahara occidental', 'Western Sahara', { aliases: ['ESH'] }),
+    country('BL', 'Saint-Barthélemy', 'Saint Barthélemy', { aliases: ['BLM'] }),
+    country('KN', 'Saint-Kitts-et-Nevis', 'Saint Kitts and Nevis', { aliases: ['KNA'] }),
+    country('SM', 'Saint-Marin', 'San Marino', { aliases: ['SMR'] }),
+    country('MF', 'Saint-Martin (partie française)', 'Saint Martin (French part)', { aliases: ['MAF', 'Saint-Martin'] }),
+    country('SX', 'Saint-Martin (partie néerlandaise)', 'Sint Maarten', { aliases: ['SXM'] }),
+    country('VA', 'Saint-Siège', 'Holy See', { aliases: ['VAT', 'Vatican'] }),
+    country('VC', 'Saint-Vincent-et-les-Grenadines', 'Saint Vincent and the Grenadines', { aliases: ['VCT'] }),
+    country('SH', 'Sainte-Hélène, Ascension et Tristan da Cunha', 'Saint Helena, Ascension and Tristan da Cunha', { aliases: ['SHN', 'Sainte-Hélène'] }),
+    country('LC', 'Sainte-Lucie', 'Saint Lucia', { aliases: ['LCA'] }),
+    country('SV', 'Salvador', 'El Salvador', { aliases: ['SLV'] }),
+    country('WS', 'Samoa', 'Samoa', { aliases: ['WSM'] }),
+    country('AS', 'Samoa américaines', 'American Samoa', { aliases: ['ASM'] }),
+    country('ST', 'Sao Tomé-et-Principe', 'São Tomé and Príncipe', { aliases: ['STP'] }),
+    country('SN', 'Sénégal', 'Senegal', { aliases: ['SEN'] }),
+    country('RS', 'Serbie', 'Serbia', { aliases: ['SRB'] }),
+    country('SC', 'Seychelles', 'Seychelles', { aliases: ['SYC'] }),
+    country('SL', 'Sierra Leone', 'Sierra Leone', { aliases: ['SLE'] }),
+    country('SG', 'Singapour', 'Singapore', { aliases: ['SGP'] }),
+    country('SK', 'Slovaquie', 'Slovakia', { aliases: ['SVK'] }),
+    country('SI', 'Slovénie', 'Slovenia', { aliases: ['SVN'] }),
+    country('SO', 'Somalie', 'Somalia', { aliases: ['SOM'] }),
+    country('SD', 'Soudan', 'Sudan', { aliases: ['SDN'] }),
+    country('SS', 'Soudan du Sud', 'South Sudan', { aliases: ['SSD'] }),
+    country('LK', 'Sri Lanka', 'Sri Lanka', { aliases: ['LKA'] }),
+    country('CH', 'Suisse', 'Switzerland', { aliases: ['CHE', 'Schweiz'] }),
+    country('SR', 'Suriname', 'Suriname', { aliases: ['SUR'] }),
+    country('SJ', 'Svalbard et Jan Mayen', 'Svalbard and Jan Mayen', { aliases: ['SJM'] }),
+    country('SY', 'Syrie', 'Syria', { aliases: ['SYR'] }),
+    country('TJ', 'Tadjikistan', 'Tajikistan', { aliases: ['TJK'] }),
+    country('TW', 'Taïwan', 'Taiwan', { aliases: ['TWN'] }),
+    country('TZ', 'Tanzanie', 'Tanzania', { aliases: ['TZA'] }),
+    country('TD', 'Tchad', 'Chad', { aliases: ['TCD'] }),
+    country('CZ', 'Tchéquie', 'Czechia', { aliases: ['CZE', 'République tchèque', 'Czech Republic'] }),
+    country('TF', 'Terres australes françaises', 'French Southern Territories', { aliases: ['ATF'] }),
+    country('IO', "Territoire britannique de l'océan Indien", 'British Indian Ocean Territory', { aliases: ['IOT'] }),
+    country('TH', 'Thaïlande', 'Thailand', { aliases: ['THA'] }),
+    country('TL', 'Timor oriental', 'Timor-Leste', { aliases: ['TLS'] }),
+    country('TG', 'Togo', 'Togo', { aliases: ['TGO'] }),
+    country('TK', 'Tokelau', 'Tokelau', { aliases: ['TKL'] }),
+    country('TO', 'Tonga', 'Tonga', { aliases: ['TON'] }),
+    country('TT', 'Trinité-et-Tobago', 'Trinidad and Tobago', { aliases: ['TTO'] }),
+    country('TN', 'Tunisie', 'Tunisia', { aliases: ['TUN'] }),
+    country('TM', 'Turkménistan', 'Turkmenistan', { aliases: ['TKM'] }),
+    country('TR', 'Turquie', 'Türkiye', { aliases: ['TUR', 'Turkey'] }),
+    country('TV', 'Tuvalu', 'Tuvalu', { aliases: ['TUV'] }),
+    country('UA', 'Ukraine', 'Ukraine', { aliases: ['UKR'] }),
+    country('UY', 'Uruguay', 'Uruguay', { aliases: ['URY'] }),
+    country('VU', 'Vanuatu', 'Vanuatu', { aliases: ['VUT'] }),
+    country('VE', 'Venezuela', 'Venezuela', { aliases: ['VEN'] }),
+    country('VN', 'Viêt Nam', 'Vietnam', { aliases: ['VNM', 'Vietnam'] }),
+    country('WF', 'Wallis-et-Futuna', 'Wallis and Futuna', { aliases: ['WLF'] }),
+    country('YE', 'Yémen', 'Yemen', { aliases: ['YEM'] }),
+    country('ZM', 'Zambie', 'Zambia', { aliases: ['ZMB'] }),
+    country('ZW', 'Zimbabwe', 'Zimbabwe', { aliases: ['ZWE'] })
+];
+
+// Lower case without accents, hyphens or apostrophes, so "etats unis" finds "États-Unis"
+const normalizeCountryName = (value) => String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[-'’.\s]+/g, ' ')
+    .trim()
+    .toLowerCase();
+
+const namesOf = (entry) => [entry.code, entry.nameFr, entry.nameEn, ...entry.aliases].map(normalizeCountryName);
+
+/**
+ * Finds a country by ISO code, French or English name, or alias (case and accents ignored).
+ * Returns the registry entry or null.
+ */
+export function findCountry(query, registry = COUNTRY_REGISTRY) {
+    const needle = normalizeCountryName(query);
+    if (!needle) return null;
+    return registry.find(entry => namesOf(entry).includes(needle)) || null;
+}
+
+/**
+ * Suggestions for the country autocomplete: an exact code or name first, then the entries
+ * whose names start with the query, then those containing it, in registry order.
+ */
+export function searchCountries(query, { registry = COUNTRY_REGISTRY, limit = 8 } = {}) {
+    const needle = normalizeCountryName(query);
+    if (!needle) return [];
+    const rank = (entry) => {
+        const names = namesOf(entry);
+        if (names.includes(needle)) return 0;
+        if (names.some(name => name.startsWith(needle))) return 1;
+        return names.some(name => name.includes(needle)) ? 2 : null;
+    };
+    return registry
+        .map(entry => ({ entry, rank: rank(entry) }))
+        .filter(item => item.rank !== null)
+        .sort((a, b) => a.rank - b.rank)
+        .slice(0, limit)
+        .map(({ entry }) => entry);
+}
+
+export const isMifiFinanceCountry = (query, registry = COUNTRY_REGISTRY) => {
+    const entry = findCountry(query, registry);
+    return Boolean(entry) && entry.financeVerifiedBy === FINANCE_VERIFIER.MIFI;
+};
@@ -0,0 +1,93 @@
+import { STUDY_LEVEL } from './constants.js';
+
+// Offline registry of Québec designated learning institutions (EED / DLI).
+// Starter list for the most frequent institutions, without DLI numbers: load the
+// official IRCC list (JSON or CSV) in the form to check the numbers as well.
+export const DEFAULT_DLI_REGISTRY = [
+    { dliNumber: '', name: 'Université de Montréal', levels: [STUDY_LEVEL.UNIVERSITY], campuses: ['Montréal', 'Laval', 'Longueuil'] },
+    { dliNumber: '', name: 'Université McGill', levels: [STUDY_LEVEL.UNIVERSITY], campuses: ['Montréal', 'Sainte-Anne-de-Bellevue'] },
+    { dliNumber: '', name: 'Université Concordia', levels: [STUDY_LEVEL.UNIVERSITY], campuses: ['Montréal'] },
+    { dliNumber: '', name: 'Université du Québec à Montréal (UQAM)', levels: [STUDY_LEVEL.UNIVERSITY], campuses: ['Montréal'] },
+    { dliNumber: '', name: 'Université Laval', levels: [STUDY_LEVEL.UNIVERSITY], campuses: ['Québec'] },
+    { dliNumber: '', name: 'Université de Sherbrooke', levels: [STUDY_LEVEL.UNIVERSITY], campuses: ['Sherbrooke', 'Longueuil'] },
+    { dliNumber: '', name: 'Polytechnique Montréal', levels: [STUDY_LEVEL.UNIVERSITY], campuses: ['Montréal'] },
+    { dliNumber: '', name: 'HEC Montréal', levels: [STUDY_LEVEL.UNIVERSITY], campuses: ['Montréal'] },
+    { dliNumber: '', name: 'Cégep du Vieux Montréal', levels: [STUDY_LEVEL.COLLEGIAL], campuses: ['Montréal'] },
+    { dliNumber: '', name: 'Collège de Maisonneuve', levels: [STUDY_LEVEL.COLLEGIAL], campuses: ['Montréal'] },
+    { dliNumber: '', name: 'Cégep de Sainte-Foy', levels: [STUDY_LEVEL.COLLEGIAL], campuses: ['Québec'] },
+    { dliNumber: '', name: 'Centre de services scolaire de Montréal', levels: [STUDY_LEVEL.PRIMAIRE, STUDY_LEVEL.PROFESSIONAL], campuses: ['Montréal'] },
+    { dliNumber: '', name: 'Centre de services scolaire de la Capitale', levels: [STUDY_LEVEL.PRIMAIRE, STUDY_LEVEL.PROFESSIONAL], campuses: ['Québec'] }
+];
+
+// Lower case without accents, so "Universite laval" finds "Université Laval"
+const normalizeText = (value) => String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim()
+    .toLowerCase();
+
+const splitList = (value) => (Array.isArray(value) ? value : String(value || '').split('|'))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+
+// Levels are matched on the STUDY_LEVEL labels, whatever the case or accents of the file
+const normalizeLevel = (level) => Object.values(STUDY_LEVEL).find(label => normalizeText(label) === normalizeText(level)) || level;
+
+const normalizeInstitution = ({ dliNumber, name, levels, campuses }) => ({
+    dliNumber: String(dliNumber || '').trim().toUpperCase(),
+    name: String(name || '').trim(),
+    levels: splitList(levels).map(normalizeLevel),
+    campuses: splitList(campuses)
+});
+
+const isUsableInstitution = (entry) => entry.name.length > 0 || entry.dliNumber.length > 0;
+
+/**
+ * Loads a DLI registry from a JSON or CSV file content.
+ * Accepted JSON: `[{ dliNumber, name, levels, campuses }]` (lists as arrays or `a|b` strings).
+ * Accepted CSV: header `dli,nom,niveaux,campus` (or `dliNumber,name,levels,campuses`),
+ * comma or semicolon separated, levels and campuses separated by `|`.
+ */
+export function parseDliRegistry(text) {
+    const content = (text || '').trim();
+    if (!content) return [];
+
+    if (content.startsWith('[')) {
+        return JSON.parse(content).map(normalizeInstitution).filter(isUsableInstitution);
+    }
+
+    const lines = content.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    const separator = lines[0].includes(';') ? ';' : ',';
+    const headers = lines[0].split(separator).map(h => normalizeText(h));
+    const indexOf = (aliases) => headers.findIndex(h => aliases.includes(h));
+    const columns = {
+        dliNumber: indexOf(['dli', 'eed', 'numero', 'dlinumber']),
+        name: indexOf(['nom', 'name', 'etablissement']),
+        levels: indexOf(['niveaux', 'levels']),
+        campuses: indexOf(['campus', 'campuses'])
+    };
+    if (columns.name < 0 && columns.dliNumber < 0) return [];
+
+    const cell = (cells, index) => (index >= 0 ? cells[index] : '');
+    return lines.slice(1)
+        .map(line => line.split(separator))
+        .map(cells => normalizeInstitution({
+            dliNumber: cell(cells, columns.dliNumber),
+            name: cell(cells, columns.name),
+            levels: cell(cells, columns.levels),
+            campuses: cell(cells, columns.campuses)
+        }))
+        .filter(isUsableInstitution);
+}
+
+/**
+ * Institution of the registry designated by `query`: its DLI number or its name
+ * (case and accents ignored). Returns null when the registry does not list it.
+ */
+export function findInstitution(registry, query) {
+    const key = normalizeText(query);
+    if (!key) return null;
+    return (registry || [])
+        .map(normalizeInstitution)
+        .find(entry => (entry.dliNumber && normalizeText(entry.dliNumber) === key) || normalizeText(entry.name) === key) || null;
+}
@@ -0,0 +1,89 @@
+import { isBefore, differenceInCalendarDays } from 'date-fns';
+import { getField } from './dossierSchema.js';
+import { GUARANTOR_DOCUMENTS } from './guarantors.js';
+import { toDate } from './parsing.js';
+
+// Dating of the supporting documents, keyed by document field of the dossier schema:
+// - maxAgeDays: the document must have been issued at most this many days before the reference date
+// - hasExpiry: the document carries its own expiry date (identity papers, permits)
+// The admission letter (or attendance certificate) is dated by `admissionIssueDate` and has its own rule.
+// Update this table when MIFI changes the recency it expects.
+// Supplied documents it cannot date are listed as untracked so their dates are checked on the originals.
+export const DOCUMENT_RECENCY_RULES = {
+    bankStatements6Months: { maxAgeDays: 30 },
+    selfFinanceProof: { maxAgeDays: 30 },
+    financialProof: { maxAgeDays: 30 },
+    guarantorFinanceProof: { maxAgeDays: 90 },
+    supportForm: { maxAgeDays: 180 },
+    criminalRecordCheck: { maxAgeDays: 90 },
+    custodyDeclaration: { maxAgeDays: 180 },
+    parentalAuthorityDelegation: { maxAgeDays: 180 },
+    consentDeclaration: { maxAgeDays: 180 },
+    accompanyingParentsStatus: { hasExpiry: true },
+    parentsIdentity: { hasExpiry: true },
+    nonAccompanyingParentIdentity: { hasExpiry: true },
+    responsibleAdultIdentity: { hasExpiry: true },
+    tuitionExemptionProof: { hasExpiry: true }
+};
+
+// Documents without an entry in the table: the attendance certificate shares the admission letter
+// field (dated only once `admissionIssueDate` is entered) and the guarantors' documents carry no date
+export const UNTRACKED_DOCUMENTS = {
+    attendanceCertificate: 'attestation de fréquentation',
+    guarantorDocuments: 'documents des garants'
+};
+
+const labelOf = (field) => (getField(field) ? getField(field).label : field);
+
+/**
+ * Dates of the supplied documents (`documentDates: { [field]: { issued, expires } }`)
+ * checked at `asOf` against the recency table. Each entry is
+ * `{ field, label, issued, expires, maxAgeDays, ageDays, staleByDays, expiredSinceDays, isStale, isExpired }`.
+ * Returns `{ documents, stale, expired, undated, untracked }` where `undated` lists the supplied documents
+ * with a maximum age but no issue date (`{ field, label }`) and `untracked` the labels of the supplied
+ * documents the table cannot date (attendance certificate when `isContinuingProgram`, guarantors'
+ * documents), or null while no document is dated.
+ */
+export function analyzeDocumentDates(data, { asOf, isContinuingProgram = false, rules = DOCUMENT_RECENCY_RULES } = {}) {
+    const dates = data.documentDates || {};
+    const supplied = Object.keys(rules).filter(field => data[field]);
+    const isDated = (field) => Boolean(dates[field] && (toDate(dates[field].issued) || toDate(dates[field].expires)));
+    if (!supplied.some(isDated)) return null;
+
+    const reference = toDate(asOf) || new Date();
+    const documents = supplied.filter(isDated).map(field => {
+        const { maxAgeDays = null } = rules[field];
+        const issued = toDate(dates[field].issued);
+        const expires = toDate(dates[field].expires);
+        const ageDays = issued ? differenceInCalendarDays(reference, issued) : null;
+        const staleByDays = ageDays !== null && maxAgeDays !== null ? Math.max(0, ageDays - maxAgeDays) : 0;
+        const isExpired = Boolean(expires) && isBefore(expires, reference);
+        return {
+            field,
+            label: labelOf(field),
+            issued,
+            expires,
+            maxAgeDays,
+            ageDays,
+            staleByDays,
+            expiredSinceDays: isExpired ? differenceInCalendarDays(reference, expires) : 0,
+            isStale: staleByDays > 0,
+            isExpired
+        };
+    });
+
+    const untracked = [
+        ...(isContinuingProgram && data.admissionLetter && !toDate(data.admissionIssueDate) ? [UNTRACKED_DOCUMENTS.attendanceCertificate] : []),
+        ...((data.guarantors || []).some(guarantor => Object.keys(GUARANTOR_DOCUMENTS).some(id => guarantor[id])) ? [UNTRACKED_DOCUMENTS.guarantorDocuments] : [])
+    ];
+
+    return {
+        documents,
+        stale: documents.filter(document => document.isStale),
+        expired: documents.filter(document => document.isExpired),
+        undated: supplied
+            .filter(field => rules[field].maxAgeDays && !(dates[field] && toDate(dates[field].issued)))
+            .map(field => ({ field, label: labelOf(field) })),
+        untracked
+    };
+}
@@ -0,0 +1,237 @@
+import { parseISO, isValid } from 'date-fns';
+import { APPLICATION_TYPE, STUDY_LEVEL, PROGRAM_TYPE, STUDY_LOAD, DELIVERY_MODE, DOSSIER_CATEGORY } from './constants.js';
+import { DEFAULT_EXCHANGE_RATES } from './exchangeRates.js';
+import { INSURANCE_SETTINGS } from './insuranceCoverage.js';
+import { DEFAULT_DLI_REGISTRY } from './dliRegistry.js';
+import { ADMISSION_LETTER_SETTINGS } from './admissionLetter.js';
+import { EXEMPTING_PARENT_STATUS } from './caqExemptions.js';
+import { EMPTY_CUSTODIAN } from './minorGuardianship.js';
+
+// Shared schema of the dossier form data: the form builds its initial state from it
+// and the rule catalogue may only require fields it declares (see checkSchema).
+// A field is `{ id, type, label, default, visibleWhen?, options?, min? }`;
+// `visibleWhen(data)` tells whether the form shows the field.
+
+export const FIELD_TYPE = {
+    TEXT: 'text',
+    DATE: 'date',
+    NUMBER: 'number',
+    SELECT: 'select',
+    // Yes/no answer about the situation of the candidate
+    FLAG: 'flag',
+    // Supporting document ticked when provided; every document must be checked by a rule
+    DOCUMENT: 'document',
+    LIST: 'list',
+    // Group of sub-fields entered together (e.g. the custodian of a minor)
+    RECORD: 'record'
+};
+
+const inSituation = (...situations) => (data) => situations.includes(data.minorSituation);
+const isRenewal = (data) => data.applicationType === APPLICATION_TYPE.RENEWAL;
+
+export const DOSSIER_SCHEMA = [
+    // --- Dossier ---
+    { id: 'fileNumber', type: FIELD_TYPE.TEXT, label: 'Numéro de dossier', default: '' },
+    { id: 'submissionDate', type: FIELD_TYPE.DATE, label: 'Date de dépôt', default: '' },
+    { id: 'referenceDate', type: FIELD_TYPE.DATE, label: 'Évaluer au', default: '' },
+    { id: 'category', type: FIELD_TYPE.SELECT, label: 'Catégorie', default: DOSSIER_CATEGORY.MAJ_1_NC, options: Object.values(DOSSIER_CATEGORY) },
+    { id: 'isConditional', type: FIELD_TYPE.FLAG, label: 'Exemption financière', default: false },
+    { id: 'dob', type: FIELD_TYPE.DATE, label: 'Date de naissance', default: '' },
+    { id: 'country', type: FIELD_TYPE.TEXT, label: 'Pays de citoyenneté', default: '' },
+    { id: 'applicationType', type: FIELD_TYPE.SELECT, label: 'Type de demande', default: APPLICATION_TYPE.FIRST, options: Object.values(APPLICATION_TYPE) },
+    { id: 'studyLevel', type: FIELD_TYPE.SELECT, label: "Niveau d'études", default: STUDY_LEVEL.COLLEGIAL, options: Object.values(STUDY_LEVEL) },
+
+    // --- Passeport ---
+    { id: 'passportStatus', type: FIELD_TYPE.SELECT, label: 'Passeport', default: 'valid', options: ['valid', 'expired', 'absent'] },
+    { id: 'passportNumber', type: FIELD_TYPE.TEXT, label: 'Numéro de passeport', default: '' },
+    { id: 'passportCountry', type: FIELD_TYPE.TEXT, label: 'Pays de délivrance', default: '' },
+    { id: 'passportExpiry', type: FIELD_TYPE.DATE, label: "Date d'expiration du passeport", default: '' },
+    { id: 'passportSigned', type: FIELD_TYPE.DOCUMENT, label: 'Passeport signé', default: false },
+
+    // --- Programme ---
+    { id: 'startDate', type: FIELD_TYPE.DATE, label: 'Début des études', default: '' },
+    { id: 'endDate', type: FIELD_TYPE.DATE, label: 'Fin des études', default: '' },
+    { id: 'programType', type: FIELD_TYPE.SELECT, label: 'Type de programme', default: '', options: Object.values(PROGRAM_TYPE) },
+    { id: 'studyLoad', type: FIELD_TYPE.SELECT, label: "Charge d'études", default: STUDY_LOAD.FULL_TIME, options: Object.values(STUDY_LOAD) },
+    { id: 'deliveryMode', type: FIELD_TYPE.SELECT, label: 'Mode de formation', default: DELIVERY_MODE.IN_PERSON, options: Object.values(DELIVERY_MODE) },
+    { id: 'isLastTerm', type: FIELD_TYPE.FLAG, label: 'Dernière session du programme', default: false, visibleWhen: (data) => data.studyLoad === STUDY_LOAD.PART_TIME },
+    { id: 'isNewProgram', type: FIELD_TYPE.FLAG, label: 'Nouveau programme', default: false, visibleWhen: isRenewal },
+
+    // --- Exemptions de CAQ ---
+    { id: 'exchangeUnderAgreement', type: FIELD_TYPE.FLAG, label: "Échange dans le cadre d'une entente", default: false },
+    { id: 'isDiplomatFamily', type: FIELD_TYPE.FLAG, label: "Famille d'un diplomate", default: false },
+    { id: 'minorAlreadyInQuebec', type: FIELD_TYPE.FLAG, label: 'Mineur déjà au Québec', default: false },
+    { id: 'parentStatusInQuebec', type: FIELD_TYPE.SELECT, label: 'Statut du parent au Québec', default: '', options: Object.keys(EXEMPTING_PARENT_STATUS), visibleWhen: (data) => Boolean(data.minorAlreadyInQuebec) },
+
+    // --- Pièces justificatives ---
+    { id: 'formDeclaration', type: FIELD_TYPE.DOCUMENT, label: 'Formulaires déclaration et engagement', default: false },
+    { id: 'admissionLetter', type: FIELD_TYPE.DOCUMENT, label: "Lettre d'admission / Attestation de fréquentation", default: false },
+    { id: 'admissionInstitution', type: FIELD_TYPE.TEXT, label: 'Établissement (nom ou numéro EED)', default: '', visibleWhen: (data) => Boolean(data.admissionLetter) },
+    { id: 'admissionProgramCode', type: FIELD_TYPE.TEXT, label: 'Code du programme', default: '', visibleWhen: (data) => Boolean(data.admissionLetter) },
+    { id: 'admissionStartDate', type: FIELD_TYPE.DATE, label: 'Début (selon la lettre)', default: '', visibleWhen: (data) => Boolean(data.admissionLetter) },
+    { id: 'admissionEndDate', type: FIELD_TYPE.DATE, label: 'Fin (selon la lettre)', default: '', visibleWhen: (data) => Boolean(data.admissionLetter) },
+    { id: 'admissionConditions', type: FIELD_TYPE.TEXT, label: "Conditions d'admission", default: '', visibleWhen: (data) => Boolean(data.admissionLetter) },
+    { id: 'admissionIssueDate', type: FIELD_TYPE.DATE, label: "Date d'émission", default: '', visibleWhen: (data) => Boolean(data.admissionLetter) },
+    { id: 'admissionLetterMaxAgeMonths', type: FIELD_TYPE.NUMBER, label: 'Ancienneté maximale (mois)', default: ADMISSION_LETTER_SETTINGS.maxAgeMonths, min: 1 },
+    { id: 'dliRegistry', type: FIELD_TYPE.LIST, label: 'Registre des établissements désignés', default: DEFAULT_DLI_REGISTRY },
+    { id: 'transcripts', type: FIELD_TYPE.DOCUMENT, label: 'Tous les relevés de notes (Québec)', default: false, visibleWhen: isRenewal },
+    { id: 'academicTerms', type: FIELD_TYPE.LIST, label: 'Résultats par session', default: [], visibleWhen: isRenewal },
+    { id: 'programCredits', type: FIELD_TYPE.NUMBER, label: 'Crédits requis pour le programme', default: '', min: 0, visibleWhen: isRenewal },
+    { id: 'explanationsStudy', type: FIELD_TYPE.DOCUMENT, label: 'Lettre explicative (si échec/abandon)', default: false, visibleWhen: isRenewal },
+    { id: 'fullTimeJustification', type: FIELD_TYPE.DOCUMENT, label: 'Justification Études Temps Plein', default: false, visibleWhen: isRenewal },
+    { id: 'documentDates', type: FIELD_TYPE.RECORD, label: 'Dates des pièces justificatives', default: {} },
+
+    // --- Assurance ---
+    { id: 'pastInsurances', type: FIELD_TYPE.LIST, label: 'Assurances passées', default: [] },
+    { id: 'futureInsurances', type: FIELD_TYPE.LIST, label: 'Assurances futures', default: [] },
+    { id: 'socialSecurityCoverage', type: FIELD_TYPE.FLAG, label: 'Couverture RAMQ par entente de sécurité sociale', default: false },
+    { id: 'nationality', type: FIELD_TYPE.TEXT, label: 'Nationalité', default: '', visibleWhen: (data) => Boolean(data.socialSecurityCoverage) },
+    { id: 'agreementForm', type: FIELD_TYPE.DOCUMENT, label: "Formulaire d'entente de sécurité sociale", default: false, visibleWhen: (data) => Boolean(data.socialSecurityCoverage) },
+    { id: 'agreementStart', type: FIELD_TYPE.DATE, label: 'Début de validité du formulaire', default: '', visibleWhen: (data) => Boolean(data.socialSecurityCoverage) },
+    { id: 'agreementEnd', type: FIELD_TYPE.DATE, label: 'Fin de validité du formulaire', default: '', visibleWhen: (data) => Boolean(data.socialSecurityCoverage) },
+    { id: 'insuranceToleranceDays', type: FIELD_TYPE.NUMBER, label: 'Interruption tolérée (jours)', default: INSURANCE_SETTINGS.toleranceDays, min: 0 },
+
+    // --- Historique ---
+    { id: 'prevCAQStart', type: FIELD_TYPE.DATE, label: 'Début du CAQ précédent', default: '', visibleWhen: isRenewal },
+    { id: 'prevCAQEnd', type: FIELD_TYPE.DATE, label: 'Fin du CAQ précédent', default: '', visibleWhen: isRenewal },
+    { id: 'prevStudyStart', type: FIELD_TYPE.DATE, label: 'Début des études précédentes', default: '', visibleWhen: isRenewal },
+    { id: 'prevStudyEnd', type: FIELD_TYPE.DATE, label: 'Fin des études précédentes', default: '', visibleWhen: isRenewal },
+    { id: 'prevStudyInProgress', type: FIELD_TYPE.FLAG, label: 'Études en cours', default: false, visibleWhen: isRenewal },
+    { id: 'entryDate', type: FIELD_TYPE.DATE, label: "Date d'entrée au Canada", default: '', visibleWhen: isRenewal },
+
+    // --- Finances ---
+    { id: 'payerType', type: FIELD_TYPE.SELECT, label: 'Payeur', default: 'self', options: ['self', 'guarantor'] },
+    { id: 'payerName', type: FIELD_TYPE.TEXT, label: 'Nom du payeur', default: '' },
+    { id: 'financeMode', type: FIELD_TYPE.SELECT, label: 'Mode de vérification', default: 'calculate', options: ['calculate', 'manual'] },
+    { id: 'availableFunds', type: FIELD_TYPE.NUMBER, label: 'Fonds disponibles ($ CAD)', default: 0, min: 0 },
+    { id: 'financialProof', type: FIELD_TYPE.DOCUMENT, label: 'Preuves de capacité financière', default: false },
+    { id: 'supportForm', type: FIELD_TYPE.DOCUMENT, label: 'Formulaire de soutien financier', default: false, visibleWhen: (data) => data.payerType === 'guarantor' },
+    { id: 'tuitionPerYear', type: FIELD_TYPE.NUMBER, label: 'Droits de scolarité annuels', default: '', min: 0 },
+    { id: 'tuitionDepositPaid', type: FIELD_TYPE.NUMBER, label: 'Dépôt déjà versé', default: '', min: 0 },
+    { id: 'tuitionExemption', type: FIELD_TYPE.FLAG, label: 'Exempté des droits de scolarité majorés', default: false },
+    { id: 'exemptTuitionPerYear', type: FIELD_TYPE.NUMBER, label: 'Droits annuels après exemption', default: '', min: 0, visibleWhen: (data) => Boolean(data.tuitionExemption) },
+    { id: 'tuitionExemptionProof', type: FIELD_TYPE.DOCUMENT, label: "Preuve d'exemption (bourse MIFI ou attestation)", default: false, visibleWhen: (data) => Boolean(data.tuitionExemption) },
+    { id: 'scholarships', type: FIELD_TYPE.LIST, label: "Bourses d'études", default: [] },
+    { id: 'guarantorFinanceProof', type: FIELD_TYPE.DOCUMENT, label: 'Preuves financières du garant', default: false, visibleWhen: (data) => data.payerType === 'guarantor' },
+    { id: 'guarantors', type: FIELD_TYPE.LIST, label: 'Garants financiers', default: [], visibleWhen: (data) => data.payerType === 'guarantor' },
+    { id: 'selfFinanceProof', type: FIELD_TYPE.DOCUMENT, label: 'Preuves de fonds personnels', default: false, visibleWhen: (data) => data.payerType === 'self' },
+    { id: 'bankStatements6Months', type: FIELD_TYPE.DOCUMENT, label: 'Relevés bancaires des 6 derniers mois', default: false, visibleWhen: (data) => data.payerType === 'self' },
+    { id: 'bankAccounts', type: FIELD_TYPE.LIST, label: 'Comptes bancaires', default: [] },
+    { id: 'fundSources', type: FIELD_TYPE.LIST, label: 'Sources de fonds', default: [] },
+    { id: 'exchangeRates', type: FIELD_TYPE.LIST, label: 'Taux de change', default: DEFAULT_EXCHANGE_RATES },
+    { id: 'exchangeRateDate', type: FIELD_TYPE.DATE, label: 'Date de conversion', default: '' },
+    { id: 'familyMembers', type: FIELD_TYPE.LIST, label: 'Membres de la famille', default: [] },
+
+    // --- Mineurs ---
+    { id: 'minorSituation', type: FIELD_TYPE.SELECT, label: 'Situation du mineur', default: 'both_parents', options: ['both_parents', 'one_parent', 'unaccompanied', 'emancipated'] },
+    { id: 'birthCertificate', type: FIELD_TYPE.DOCUMENT, label: 'Certificat de naissance (Noms des parents)', default: false, visibleWhen: inSituation('both_parents', 'one_parent', 'unaccompanied') },
+    { id: 'parentsIdentity', type: FIELD_TYPE.DOCUMENT, label: 'Identité des deux parents (Passeport/CNI)', default: false, visibleWhen: inSituation('both_parents', 'one_parent', 'unaccompanied') },
+    { id: 'accompanyingParentsStatus', type: FIELD_TYPE.DOCUMENT, label: 'Durée du séjour des parents (Permis/Admission/Statut de résident)', default: false, visibleWhen: inSituation('both_parents') },
+    { id: 'parentPermitExpiry', type: FIELD_TYPE.DATE, label: 'Fin du permis / statut du parent accompagnateur', default: '', visibleWhen: inSituation('both_parents', 'one_parent') },
+    { id: 'parents', type: FIELD_TYPE.LIST, label: 'Parents', default: [], visibleWhen: inSituation('both_parents', 'one_parent') },
+    { id: 'soleCustodyProof', type: FIELD_TYPE.DOCUMENT, label: 'Jugement de garde exclusive', default: false, visibleWhen: inSituation('one_parent') },
+    { id: 'consentDeclaration', type: FIELD_TYPE.DOCUMENT, label: 'Formulaire de consentement (signé par le parent absent)', default: false, visibleWhen: inSituation('one_parent') },
+    { id: 'nonAccompanyingParentIdentity', type: FIELD_TYPE.DOCUMENT, label: 'Identité du parent non accompagnateur', default: false, visibleWhen: inSituation('one_parent') },
+    { id: 'parentalAuthorityDelegation', type: FIELD_TYPE.DOCUMENT, label: "Déclaration de délégation de l'autorité parentale (signée parents)", default: false, visibleWhen: inSituation('unaccompanied') },
+    { id: 'custodyDeclaration', type: FIELD_TYPE.DOCUMENT, label: 'Déclaration du gardien au Canada (signée gardien)', default: false, visibleWhen: inSituation('unaccompanied') },
+    { id: 'responsibleAdultIdentity', type: FIELD_TYPE.DOCUMENT, label: "Pièce d'identité du gardien", default: false, visibleWhen: inSituation('unaccompanied') },
+    { id: 'citizenshipProof', type: FIELD_TYPE.DOCUMENT, label: 'Preuve de citoyenneté/résidence permanente du gardien', default: false, visibleWhen: inSituation('unaccompanied') },
+    { id: 'residenceProof', type: FIELD_TYPE.DOCUMENT, label: 'Preuve de résidence du gardien au Québec', default: false, visibleWhen: inSituation('unaccompanied') },
+    { id: 'custodian', type: FIELD_TYPE.RECORD, label: 'Gardien au Québec', default: EMPTY_CUSTODIAN, visibleWhen: inSituation('unaccompanied') },
+    { id: 'householdAdults', type: FIELD_TYPE.LIST, label: 'Autres adultes du foyer', default: [], visibleWhen: inSituation('unaccompanied') },
+    { id: 'criminalRecordCheck', type: FIELD_TYPE.DOCUMENT, label: "Absence d'antécédents judiciaires (tous adultes du foyer)", default: false, visibleWhen: inSituation('unaccompanied') },
+    { id: 'emancipationJudgment', type: FIELD_TYPE.DOCUMENT, label: "Jugement d'émancipation (si applicable)", default: false, visibleWhen: inSituation('emancipated') }
+];
+
+const FIELDS_BY_ID = new Map(DOSSIER_SCHEMA.map(field => [field.id, field]));
+
+export const getField = (id) => FIELDS_BY_ID.get(id) || null;
+
+export const isKnownField = (id) => FIELDS_BY_ID.has(id);
+
+export const isFieldVisible = (id, data) => {
+    const field = getField(id);
+    return Boolean(field) && (!field.visibleWhen || field.visibleWhen(data));
+};
+
+const copyDefault = (value) => {
+    if (Array.isArray(value)) return [...value];
+    if (value && typeof value === 'object') return { ...value };
+    return value;
+};
+
+/**
+ * Initial form data: the default of every field (lists and records are copied so dossiers never share them).
+ */
+export function createInitialFormData(schema = DOSSIER_SCHEMA) {
+    return Object.fromEntries(schema.map(field => [field.id, copyDefault(field.default)]));
+}
+
+/**
+ * Checks a single value against the type of its field. Returns an error message or null.
+ * Empty values are accepted: whether a field must be filled is decided by the rules.
+ */
+export function validateFieldValue(id, value) {
+    const field = getField(id);
+    if (!field) return `Champ inconnu : ${id}`;
+    if (value === '' || value === null || value === undefined) return null;
+
+    if (field.type === FIELD_TYPE.DATE) {
+        return isValid(value instanceof Date ? value : parseISO(String(value))) ? null : `${field.label} : date invalide.`;
+    }
+    if (field.type === FIELD_TYPE.NUMBER) {
+        const number = Number(value);
+        if (!Number.isFinite(number)) return `${field.label} : nombre attendu.`;
+        if (field.min !== undefined && number < field.min) return `${field.label} : doit être supérieur ou égal à ${field.min}.`;
+        return null;
+    }
+    if (field.type === FIELD_TYPE.SELECT && field.options && !field.options.includes(value)) {
+        return `${field.label} : valeur « ${value} » non reconnue.`;
+    }
+    return null;
+}
+
+/**
+ * Compares the rule catalogue with the schema:
+ * - `unknown`: fields required by a rule that the schema does not declare;
+ * - `unused`: documents of the schema that no rule checks, so ticking them has no effect.
+ * The tests require the catalogue to be consistent, so a drift fails them rather than the form.
+ */
+export function checkSchema(rules, { schema = DOSSIER_SCHEMA } = {}) {
+    const declared = new Set(schema.map(field => field.id));
+    const required = new Map();
+    rules.forEach(rule => (rule.requiredFields || []).forEach(field => {
+        if (!required.has(field)) required.set(field, rule.id);
+    }));
+
+    const unknown = [...required]
+        .filter(([field]) => !declared.has(field))
+        .map(([field, ruleId]) => ({ field, source: ruleId }));
+
+    const unused = schema
+        .filter(field => field.type === FIELD_TYPE.DOCUMENT && !required.has(field.id))
+        .map(field => field.id);
+
+    return { unknown, unused, isConsistent: unknown.length === 0 && unused.length === 0 };
+}
+
+// Names the form used to write before the schema, mapped to the fields the rules read
+export const LEGACY_FIELD_NAMES = {
+    legalCustody: 'soleCustodyProof',
+    otherParentConsent: 'consentDeclaration',
+    delegationAuthority: 'parentalAuthorityDelegation',
+    custodianshipDeclaration: 'custodyDeclaration',
+    custodianDoc: 'citizenshipProof'
+};
+
+/**
+ * Brings saved form data up to the schema: legacy names are renamed, fields the schema
+ * no longer declares are dropped and missing fields take their default.
+ */
+export function migrateFormData(saved, schema = DOSSIER_SCHEMA) {
+    const renamed = Object.fromEntries(Object.entries(saved || {})
+        .map(([key, value]) => [LEGACY_FIELD_NAMES[key] || key, value]));
+    const initial = createInitialFormData(schema);
+    return Object.fromEntries(Object.keys(initial)
+        .map(id => [id, renamed[id] !== undefined ? renamed[id] : initial[id]]));
+}
@@ -0,0 +1,50 @@
+import { STATUS, SEVERITY } from './constants.js';
+
+// Scoring model of the dossier analysis: every control that is not OK deducts points from 100.
+export const DOSSIER_SCORING = {
+    base: 100,
+    // Points deducted per failing control, by severity
+    severityWeights: {
+        [SEVERITY.BLOCKING]: 25,
+        [SEVERITY.MAJOR]: 10,
+        [SEVERITY.MINOR]: 3
+    },
+    // Rule-specific weights, replacing the severity weight (e.g. no passport weighs more than a missing form)
+    ruleWeights: {
+        PASSPORT: 40,
+        FINANCE: 30,
+        PROGRAM_DELIVERY_MODE: 40
+    },
+    // Largest total deduction per severity, so many minor findings cannot outweigh one blocking issue
+    severityCaps: {
+        [SEVERITY.BLOCKING]: 100,
+        [SEVERITY.MAJOR]: 40,
+        [SEVERITY.MINOR]: 10
+    }
+};
+
+/**
+ * Numeric score of the dossier (0–100) from its controls and a scoring model.
+ * Returns `{ score, base, deductions }`; each deduction is `{ id, label, severity, status, weight, points }`
+ * where `points` is the weight reduced by the cap of its severity (0 once the cap is reached).
+ */
+export function scoreDossier(controls, model = DOSSIER_SCORING) {
+    const deductedBySeverity = {};
+    const deductions = controls
+        .filter(control => control.status !== STATUS.OK)
+        .map(control => {
+            const weight = model.ruleWeights[control.id] ?? model.severityWeights[control.severity] ?? 0;
+            const alreadyDeducted = deductedBySeverity[control.severity] || 0;
+            const cap = model.severityCaps[control.severity] ?? Infinity;
+            const points = Math.max(0, Math.min(weight, cap - alreadyDeducted));
+            deductedBySeverity[control.severity] = alreadyDeducted + points;
+            return { id: control.id, label: control.label, severity: control.severity, status: control.status, weight, points };
+        });
+
+    const total = deductions.reduce((sum, deduction) => sum + deduction.points, 0);
+    return {
+        score: Math.max(0, model.base - total),
+        base: model.base,
+        deductions
+    };
+}
@@ -0,0 +1,153 @@
+import { isAfter, isBefore } from 'date-fns';
+import { DOSSIER_SCHEMA, validateFieldValue, getField } from './dossierSchema.js';
+import { findCountry } from './countryRegistry.js';
+import { toDate } from './parsing.js';
+
+export const ISSUE_LEVEL = {
+    // Incoherent input: the analysis would be misleading, no recommendation is issued
+    ERROR: 'error',
+    // Unusual input worth a second look; the analysis still runs
+    WARNING: 'warning'
+};
+
+const labelOf = (field) => (getField(field) ? getField(field).label : field);
+
+/**
+ * Checks the form data before analysis. Returns `{ issues, errors, warnings, hasBlockingErrors }`
+ * where each issue is `{ field, level, message }` (`field` is the schema id, or `field[index]`
+ * for a row of a list) so the form can show it next to the input.
+ */
+export function validateDossier(data, { asOf = new Date(), schema = DOSSIER_SCHEMA } = {}) {
+    const issues = [];
+    const add = (field, level, message) => issues.push({ field, level, message });
+    const reference = toDate(asOf) || new Date();
+
+    // Type of each field (dates, numbers, listed values)
+    schema.forEach(field => {
+        const error = validateFieldValue(field.id, data[field.id]);
+        if (error) add(field.id, ISSUE_LEVEL.ERROR, error);
+    });
+
+    // The registry covers ISO 3166-1: an unknown name is a typo, and its finances are checked by default
+    if (data.country && !findCountry(data.country)) {
+        add('country', ISSUE_LEVEL.WARNING, `Pays « ${data.country} » absent du registre ISO 3166 : vérifier la saisie (capacité financière contrôlée par défaut).`);
+    }
+
+    // Periods whose end precedes their start
+    [
+        ['startDate', 'endDate'],
+        ['prevCAQStart', 'prevCAQEnd'],
+        ['prevStudyStart', 'prevStudyEnd'],
+        ['admissionStartDate', 'admissionEndDate'],
+        ['agreementStart', 'agreementEnd']
+    ].forEach(([startField, endField]) => {
+        const start = toDate(data[startField]);
+        const end = toDate(data[endField]);
+        if (start && end && isBefore(end, start)) {
+            add(endField, ISSUE_LEVEL.ERROR, `${labelOf(endField)} antérieure à ${labelOf(startField).toLowerCase()}.`);
+        }
+    });
+
+    // Dates that cannot be in the future of the analysis
+    ['dob', 'entryDate', 'admissionIssueDate'].forEach(field => {
+        const date = toDate(data[field]);
+        if (date && isAfter(date, reference)) {
+            add(field, field === 'dob' ? ISSUE_LEVEL.ERROR : ISSUE_LEVEL.WARNING, `${labelOf(field)} postérieure à la date d'analyse.`);
+        }
+    });
+    const dob = toDate(data.dob);
+    const start = toDate(data.startDate);
+    if (dob && start && isBefore(start, dob)) {
+        add('startDate', ISSUE_LEVEL.ERROR, 'Début des études antérieur à la date de naissance.');
+    }
+
+    // Insurance rows: both dates are needed to compute the coverage
+    ['pastInsurances', 'futureInsurances'].forEach(field => {
+        (data[field] || []).forEach((period, index) => {
+            const periodStart = toDate(period.start);
+            const periodEnd = toDate(period.end);
+            if (!periodStart || !periodEnd) {
+                add(`${field}[${index}]`, ISSUE_LEVEL.ERROR, `${labelOf(field)}, ligne ${index + 1} : dates de début et de fin requises.`);
+            } else if (isBefore(periodEnd, periodStart)) {
+                add(`${field}[${index}]`, ISSUE_LEVEL.ERROR, `${labelOf(field)}, ligne ${index + 1} : fin antérieure au début.`);
+            }
+        });
+    });
+
+    // Amounts of the fund sources
+    (data.fundSources || []).forEach((source, index) => {
+        const amount = Number(source.amount);
+        if (source.amount !== '' && source.amount !== undefined && (!Number.isFinite(amount) || amount < 0)) {
+            add(`fundSources[${index}]`, ISSUE_LEVEL.ERROR, `Source de fonds ${index + 1} : montant invalide.`);
+        }
+    });
+    (data.scholarships || []).forEach((scholarship, index) => {
+        const amount = Number(scholarship.amount);
+        if (scholarship.amount !== '' && scholarship.amount !== undefined && (!Number.isFinite(amount) || amount < 0)) {
+            add(`scholarships[${index}]`, ISSUE_LEVEL.ERROR, `Bourse ${index + 1} : montant invalide.`);
+        }
+    });
+
+    // Guarantors: amounts and household size
+    (data.guarantors || []).forEach((guarantor, index) => {
+        ['income', 'committedAmount'].forEach(key => {
+            const amount = Number(guarantor[key]);
+            if (guarantor[key] !== '' && guarantor[key] !== undefined && (!Number.isFinite(amount) || amount < 0)) {
+                add(`guarantors[${index}]`, ISSUE_LEVEL.ERROR, `Garant ${index + 1} : ${key === 'income' ? 'revenu' : 'montant engagé'} invalide.`);
+            }
+        });
+        const householdSize = Number(guarantor.householdSize);
+        if (guarantor.householdSize !== '' && guarantor.householdSize !== undefined && (!Number.isInteger(householdSize) || householdSize < 1)) {
+            add(`guarantors[${index}]`, ISSUE_LEVEL.ERROR, `Garant ${index + 1} : taille du foyer invalide (au moins 1, le garant compris).`);
+        }
+    });
+
+    // Deposit larger than the tuition it is deducted from
+    const tuition = Number(data.tuitionExemption && data.exemptTuitionPerYear !== '' ? data.exemptTuitionPerYear : data.tuitionPerYear);
+    if (Number(data.tuitionDepositPaid) > 0 && Number.isFinite(tuition) && Number(data.tuitionDepositPaid) > tuition) {
+        add('tuitionDepositPaid', ISSUE_LEVEL.WARNING, 'Dépôt supérieur aux droits de scolarité annuels.');
+    }
+
+    // Document dates: issued after the analysis date, or expiring before their issue
+    Object.entries(data.documentDates || {}).forEach(([field, dates]) => {
+        const issued = toDate(dates && dates.issued);
+        const expires = toDate(dates && dates.expires);
+        if (issued && isAfter(issued, reference)) {
+            add('documentDates', ISSUE_LEVEL.WARNING, `${labelOf(field)} : date d'émission postérieure à la date d'analyse.`);
+        }
+        if (issued && expires && isBefore(expires, issued)) {
+            add('documentDates', ISSUE_LEVEL.ERROR, `${labelOf(field)} : expiration antérieure à l'émission.`);
+        }
+    });
+
+    // Family members born after the analysis date
+    (data.familyMembers || []).forEach((member, index) => {
+        const memberDob = toDate(member.dob);
+        if (memberDob && isAfter(memberDob, reference)) {
+            add(`familyMembers[${index}]`, ISSUE_LEVEL.ERROR, `Membre de la famille ${index + 1} : date de naissance future.`);
+        }
+    });
+
+    // Custodian and adults of the household born after the analysis date
+    const custodianDob = toDate(data.custodian && data.custodian.dob);
+    if (custodianDob && isAfter(custodianDob, reference)) {
+        add('custodian', ISSUE_LEVEL.ERROR, 'Gardien : date de naissance future.');
+    }
+    (data.householdAdults || []).forEach((adult, index) => {
+        const adultDob = toDate(adult.dob);
+        if (adultDob && isAfter(adultDob, reference)) {
+            add(`householdAdults[${index}]`, ISSUE_LEVEL.ERROR, `Adulte du foyer ${index + 1} : date de naissance future.`);
+        }
+    });
+
+    // Academic terms with more credits passed than attempted
+    (data.academicTerms || []).forEach((term, index) => {
+        if (Number(term.creditsPassed) > Number(term.creditsAttempted)) {
+            add(`academicTerms[${index}]`, ISSUE_LEVEL.WARNING, `${term.label || `Session ${index + 1}`} : plus de crédits réussis que tentés.`);
+        }
+    });
+
+    const errors = issues.filter(issue => issue.level === ISSUE_LEVEL.ERROR);
+    const warnings = issues.filter(issue => issue.level === ISSUE_LEVEL.WARNING);
+    return { issues, errors, warnings, hasBlockingErrors: errors.length > 0 };
+}
@@ -0,0 +1,113 @@
+import { isAfter } from 'date-fns';
+import { toDate, toNumber } from './parsing.js';
+
+// Offline exchange-rate table: value of one unit of `currency` in CAD from `date`.
+// Indicative rates only; replace them with the rates of the day used by the advisor
+// (the table is editable in the form and can be loaded from a JSON or CSV file).
+export const DEFAULT_EXCHANGE_RATES = [
+    { currency: 'EUR', date: '2025-01-01', rate: 1.49 },
+    { currency: 'USD', date: '2025-01-01', rate: 1.44 },
+    { currency: 'XOF', date: '2025-01-01', rate: 0.00227 },
+    { currency: 'XAF', date: '2025-01-01', rate: 0.00227 },
+    { currency: 'MAD', date: '2025-01-01', rate: 0.143 },
+    { currency: 'TND', date: '2025-01-01', rate: 0.452 },
+    { currency: 'DZD', date: '2025-01-01', rate: 0.0107 },
+    { currency: 'CNY', date: '2025-01-01', rate: 0.197 },
+    { currency: 'INR', date: '2025-01-01', rate: 0.0168 },
+    { currency: 'GBP', date: '2025-01-01', rate: 1.80 },
+    { currency: 'CHF', date: '2025-01-01', rate: 1.59 }
+];
+
+export const formatMoney = (amount, currency) => `${Number(amount).toLocaleString('fr-CA')} ${currency}`;
+
+const normalizeRate = ({ currency, date, rate }) => ({
+    currency: String(currency || '').trim().toUpperCase(),
+    date: String(date || '').trim(),
+    rate: toNumber(rate)
+});
+
+const isUsableRate = (entry) => entry.currency.length === 3 && entry.rate > 0;
+
+/**
+ * Loads an exchange-rate table from a JSON or CSV file content.
+ * Accepted JSON: `[{ currency, date, rate }]` or `{ "2025-01-01": { "EUR": 1.49 } }`.
+ * Accepted CSV: header `devise,date,taux` (or `currency,date,rate`), comma or semicolon separated.
+ */
+export function parseExchangeRates(text) {
+    const content = (text || '').trim();
+    if (!content) return [];
+
+    if (content.startsWith('[') || content.startsWith('{')) {
+        const json = JSON.parse(content);
+        const entries = Array.isArray(json)
+            ? json
+            : Object.entries(json).flatMap(([date, rates]) =>
+                Object.entries(rates).map(([currency, rate]) => ({ currency, date, rate })));
+        return entries.map(normalizeRate).filter(isUsableRate);
+    }
+
+    const lines = content.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    const separator = lines[0].includes(';') ? ';' : ',';
+    const headers = lines[0].split(separator).map(h => h.trim().toLowerCase());
+    const indexOf = (aliases) => headers.findIndex(h => aliases.includes(h));
+    const columns = {
+        currency: indexOf(['devise', 'currency']),
+        date: indexOf(['date']),
+        rate: indexOf(['taux', 'rate'])
+    };
+    if (columns.currency < 0 || columns.rate < 0) return [];
+
+    return lines.slice(1)
+        .map(line => line.split(separator))
+        .map(cells => normalizeRate({
+            currency: cells[columns.currency],
+            date: columns.date >= 0 ? cells[columns.date] : '',
+            rate: cells[columns.rate]
+        }))
+        .filter(isUsableRate);
+}
+
+/**
+ * Rate of `currency` in force on `date`: the latest entry not after that date,
+ * or the oldest entry when the table only has later rates. CAD is always 1.
+ */
+export function findRate(table, currency, date) {
+    const code = String(currency || 'CAD').trim().toUpperCase();
+    if (code === 'CAD') return { currency: 'CAD', date: null, rate: 1 };
+
+    const reference = toDate(date) || new Date();
+    const entries = (table || [])
+        .map(normalizeRate)
+        .filter(entry => entry.currency === code && isUsableRate(entry))
+        .sort((a, b) => (a.date < b.date ? -1 : 1));
+    if (entries.length === 0) return null;
+
+    const inForce = entries.filter(entry => !entry.date || !isAfter(toDate(entry.date) || reference, reference));
+    return inForce.length > 0 ? inForce[inForce.length - 1] : entries[0];
+}
+
+/**
+ * Converts the declared fund sources into CAD on the conversion date.
+ * Returns `{ totalCad, lines, unconverted }`; `unconverted` lists sources without a known rate.
+ */
+export function convertFundSources(sources, { table = DEFAULT_EXCHANGE_RATES, conversionDate } = {}) {
+    const lines = [];
+    const unconverted = [];
+
+    (sources || []).forEach(source => {
+        const amount = toNumber(source.amount) || 0;
+        const currency = String(source.currency || 'CAD').trim().toUpperCase();
+        const rate = findRate(table, currency, conversionDate);
+        if (!rate) {
+            unconverted.push({ ...source, amount, currency });
+            return;
+        }
+        lines.push({ ...source, amount, currency, rate: rate.rate, rateDate: rate.date, cad: amount * rate.rate });
+    });
+
+    return {
+        totalCad: lines.reduce((sum, line) => sum + line.cad, 0),
+        lines,
+        unconverted
+    };
+}
@@ -0,0 +1,96 @@
+import { toDate } from './parsing.js';
+
+// Yearly MIFI financial capacity tables (GPI), in CAD.
+// - firstYear: amount required for the first 12 months of the stay
+// - perMonth: amount for each month of the program beyond the first year
+// - spouse / child: additional amounts for each accompanying family member
+// - transport / installation: one-off costs of a first application
+// Update this table when MIFI publishes the new amounts (usually on January 1st).
+export const FINANCIAL_THRESHOLD_TABLES = {
+    2024: {
+        student: {
+            adult: { firstYear: 15078, perMonth: 1257 },
+            minor: { firstYear: 7541, perMonth: 628 }
+        },
+        spouse: { firstYear: 5079, perMonth: 423 },
+        child: { firstYear: 2570, perMonth: 214 },
+        transport: 2000,
+        installation: 500
+    },
+    2025: {
+        student: {
+            adult: { firstYear: 24617, perMonth: 2051 },
+            minor: { firstYear: 7739, perMonth: 645 }
+        },
+        spouse: { firstYear: 8291, perMonth: 691 },
+        child: { firstYear: 4196, perMonth: 350 },
+        transport: 2000,
+        installation: 500
+    }
+};
+
+export const formatAmount = (amount) => `${Math.round(amount).toLocaleString('fr-CA')} $`;
+
+/**
+ * Returns the table in force on `date`: the latest year that is not after it,
+ * or the oldest table for earlier dates.
+ */
+export function getThresholdTable(date) {
+    const year = (toDate(date) || new Date()).getFullYear();
+    const years = Object.keys(FINANCIAL_THRESHOLD_TABLES).map(Number).sort((a, b) => a - b);
+    const applicable = years.filter(y => y <= year);
+    const tableYear = applicable.length > 0 ? applicable[applicable.length - 1] : years[0];
+    return { year: tableYear, ...FINANCIAL_THRESHOLD_TABLES[tableYear] };
+}
+
+/**
+ * Computes the funds required for the stay.
+ * Months beyond the first year are charged monthly, for the student and each dependant;
+ * `tuition` (net first-year tuition, see tuitionFees.js) is added as its own line.
+ * Returns `{ year, total, months, breakdown: [{ label, amount }] }`.
+ */
+export function computeRequiredFunds({
+    programMonths = 0,
+    isAdult = true,
+    spouses = 0,
+    children = 0,
+    isFirstApplication = true,
+    applicationDate,
+    tuition = 0
+} = {}) {
+    const table = getThresholdTable(applicationDate);
+    const months = Math.max(12, programMonths || 0);
+    const extraMonths = months - 12;
+    const breakdown = [];
+
+    const addMember = (label, rates, count = 1) => {
+        if (count <= 0) return;
+        breakdown.push({ label: `${label} (1re année)`, amount: rates.firstYear * count });
+        if (extraMonths > 0) {
+            breakdown.push({ label: `${label} (${extraMonths} mois suppl.)`, amount: rates.perMonth * extraMonths * count });
+        }
+    };
+
+    addMember(isAdult ? 'Étudiant' : 'Étudiant mineur', isAdult ? table.student.adult : table.student.minor);
+    addMember(spouses > 1 ? `Conjoints × ${spouses}` : 'Conjoint', table.spouse, spouses);
+    addMember(children > 1 ? `Enfants × ${children}` : 'Enfant', table.child, children);
+
+    if (isFirstApplication) {
+        const travellers = 1 + spouses + children;
+        breakdown.push({ label: travellers > 1 ? `Transport × ${travellers}` : 'Transport', amount: table.transport * travellers });
+        breakdown.push({ label: 'Installation', amount: table.installation });
+    }
+
+    // First-year tuition still to be paid, on top of the living costs
+    if (tuition > 0) {
+        breakdown.push({ label: 'Droits de scolarité (1re année, nets)', amount: tuition });
+    }
+
+    const total = breakdown.reduce((sum, line) => sum + line.amount, 0);
+    return { year: table.year, total, months, breakdown };
+}
+
+export function formatBreakdown(requiredFunds) {
+    const lines = requiredFunds.breakdown.map(line => `${line.label} ${formatAmount(line.amount)}`);
+    return `Barème ${requiredFunds.year} : ${lines.join(' + ')} = ${formatAmount(requiredFunds.total)}`;
+}
@@ -0,0 +1,85 @@
+import { getThresholdTable } from './financialThresholds.js';
+import { findRate, DEFAULT_EXCHANGE_RATES } from './exchangeRates.js';
+import { findCountry } from './countryRegistry.js';
+import { toAmount, hasContent } from './parsing.js';
+
+// Relationship of a guarantor with the candidate
+export const GUARANTOR_RELATIONSHIP = {
+    parent: 'Parent',
+    sibling: 'Frère ou sœur',
+    relative: 'Autre membre de la famille',
+    spouse: 'Conjoint',
+    other: 'Autre personne'
+};
+
+// Documents supplied by each guarantor. `statusProof` is only required from guarantors living in Canada.
+export const GUARANTOR_DOCUMENTS = {
+    supportForm: 'déclaration de soutien financier signée',
+    incomeProof: 'preuves de revenus',
+    identityProof: "pièce d'identité",
+    statusProof: 'preuve de citoyenneté ou de résidence permanente'
+};
+
+/**
+ * Yearly needs of the guarantor's own household, from the MIFI table in force:
+ * the guarantor at the adult rate, a second person at the spouse rate and the others at the child rate.
+ */
+export function computeHouseholdNeeds(householdSize, date) {
+    const table = getThresholdTable(date);
+    const size = Math.max(1, Math.floor(Number(householdSize)) || 1);
+    return table.student.adult.firstYear
+        + (size > 1 ? table.spouse.firstYear : 0)
+        + Math.max(0, size - 2) * table.child.firstYear;
+}
+
+/**
+ * Guarantors committing part of the funds, as entered:
+ * `{ name, relationship, country, householdSize, income, committedAmount, currency, supportForm, incomeProof, identityProof, statusProof }`.
+ * Each guarantor must keep enough income for their own household: the capacity is the yearly
+ * income (converted to CAD) minus the household needs, and only the part of the commitment
+ * within that capacity is counted. Returns `{ guarantors, committedTotal, countedTotal, unconverted }`,
+ * or null while no guarantor is entered.
+ */
+export function analyzeGuarantors(guarantors, { asOf, table = DEFAULT_EXCHANGE_RATES, conversionDate } = {}) {
+    const entered = (guarantors || []).filter(hasContent);
+    if (entered.length === 0) return null;
+
+    const unconverted = [];
+    const analyzed = entered.map((guarantor, index) => {
+        const label = guarantor.name || `Garant ${index + 1}`;
+        const currency = String(guarantor.currency || 'CAD').trim().toUpperCase();
+        const rate = findRate(table, currency, conversionDate || asOf);
+        if (!rate) unconverted.push({ label, currency, amount: toAmount(guarantor.committedAmount) });
+
+        const country = findCountry(guarantor.country);
+        const livesInCanada = Boolean(country) && country.code === 'CA';
+        const required = ['supportForm', 'incomeProof', 'identityProof', ...(livesInCanada ? ['statusProof'] : [])];
+        const householdNeeds = computeHouseholdNeeds(guarantor.householdSize, asOf);
+        const incomeCad = rate ? toAmount(guarantor.income) * rate.rate : 0;
+        const committedCad = rate ? toAmount(guarantor.committedAmount) * rate.rate : 0;
+        const capacity = Math.max(0, incomeCad - householdNeeds);
+
+        return {
+            ...guarantor,
+            label,
+            currency,
+            rate: rate ? rate.rate : null,
+            country,
+            livesInCanada,
+            householdNeeds,
+            incomeCad,
+            committedCad,
+            capacity,
+            countedCad: Math.min(committedCad, capacity),
+            isCapable: committedCad <= capacity,
+            missingDocuments: required.filter(id => !guarantor[id]).map(id => GUARANTOR_DOCUMENTS[id])
+        };
+    });
+
+    return {
+        guarantors: analyzed,
+        committedTotal: analyzed.reduce((sum, guarantor) => sum + guarantor.committedCad, 0),
+        countedTotal: analyzed.reduce((sum, guarantor) => sum + guarantor.countedCad, 0),
+        unconverted
+    };
+}
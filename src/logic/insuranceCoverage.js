@@ -0,0 +1,73 @@
+import { isAfter, isBefore, addDays, subDays, differenceInDays, format } from 'date-fns';
+import { toDate } from './parsing.js';
+
+// Settings of the health insurance coverage check (Art. 15 RIQ)
+export const INSURANCE_SETTINGS = {
+    // Uncovered gaps up to this many days are tolerated (e.g. a weekend between two policies)
+    toleranceDays: 7
+};
+
+export const formatPeriodDate = (date) => format(date, 'dd/MM/yyyy');
+
+/**
+ * Merges insurance periods (`{ start, end }`, ISO strings or dates) into
+ * sorted, non-overlapping periods. Periods that follow each other from one day
+ * to the next are joined; incomplete or inverted periods are ignored.
+ */
+export function mergeCoveragePeriods(periods) {
+    const sorted = (periods || [])
+        .map(p => ({ start: toDate(p.start), end: toDate(p.end) }))
+        .filter(p => p.start && p.end && !isAfter(p.start, p.end))
+        .sort((a, b) => a.start - b.start);
+
+    const merged = [];
+    sorted.forEach(period => {
+        const last = merged[merged.length - 1];
+        if (last && !isAfter(period.start, addDays(last.end, 1))) {
+            if (isAfter(period.end, last.end)) last.end = period.end;
+        } else {
+            merged.push({ ...period });
+        }
+    });
+    return merged;
+}
+
+/**
+ * Compares the declared periods with the window that must be covered
+ * (`{ start, end }`, both inclusive). Returns the merged periods, the uncovered
+ * gaps `[{ start, end, days }]` longer than the tolerance and `isCovered`.
+ * Returns null when the window itself is unknown.
+ */
+export function analyzeInsuranceCoverage(periods, window, { toleranceDays = INSURANCE_SETTINGS.toleranceDays } = {}) {
+    const windowStart = toDate(window && window.start);
+    const windowEnd = toDate(window && window.end);
+    if (!windowStart || !windowEnd || isAfter(windowStart, windowEnd)) return null;
+
+    const merged = mergeCoveragePeriods(periods);
+    const gaps = [];
+    const pushGap = (start, end) => {
+        const days = differenceInDays(end, start) + 1;
+        if (days > toleranceDays) gaps.push({ start, end, days });
+    };
+
+    let cursor = windowStart;
+    merged.forEach(period => {
+        if (isAfter(cursor, windowEnd) || isBefore(period.end, cursor)) return;
+        if (isAfter(period.start, windowEnd)) return;
+        if (isAfter(period.start, cursor)) pushGap(cursor, subDays(period.start, 1));
+        cursor = addDays(period.end, 1);
+    });
+    if (!isAfter(cursor, windowEnd)) pushGap(cursor, windowEnd);
+
+    return {
+        window: { start: windowStart, end: windowEnd },
+        merged,
+        gaps,
+        toleranceDays,
+        isCovered: gaps.length === 0
+    };
+}
+
+export const describeGaps = (gaps) => gaps
+    .map(gap => `du ${formatPeriodDate(gap.start)} au ${formatPeriodDate(gap.end)} (${gap.days} j)`)
+    .join(', ');
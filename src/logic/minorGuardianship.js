@@ -0,0 +1,94 @@
+import { isBefore, differenceInYears } from 'date-fns';
+import { toDate, hasContent } from './parsing.js';
+
+// Status in Canada of a parent or of the custodian
+export const CANADIAN_STATUS = {
+    citizen: 'Citoyen canadien',
+    permanentResident: 'Résident permanent',
+    worker: 'Travailleur temporaire',
+    student: 'Étudiant étranger',
+    visitor: 'Visiteur',
+    none: 'Aucun statut au Canada'
+};
+
+// Temporary statuses end with the permit; citizens and permanent residents have no end date
+const TEMPORARY_STATUSES = ['worker', 'student', 'visitor'];
+const RESIDENT_STATUSES = ['citizen', 'permanentResident'];
+
+// Age of majority in Québec, for the custodian and the adults of the household
+export const AGE_OF_MAJORITY = 18;
+
+// Custodian record of a new dossier; the province is prefilled since the custodian must live in Québec
+export const EMPTY_CUSTODIAN = { name: '', dob: '', status: '', address: '', province: 'QC', relationship: '', policeCheck: false };
+
+const isQuebec = (province) => ['qc', 'quebec', 'québec'].includes(String(province || '').trim().toLowerCase());
+
+// Names of the people listed, for the control notes ("Parent 2" when a row has no name)
+export const describePeople = (people, fallback) => people
+    .map((person, index) => person.name || `${fallback} ${index + 1}`)
+    .join(', ');
+
+/**
+ * Parents of the minor, as entered: `{ name, accompanying, status, permitExpiry }`.
+ * Returns the accompanying parents, those whose status is missing or whose temporary
+ * permit has no end date, and `permitEnd`, the earliest permit end among the
+ * accompanying parents (the minor's CAQ cannot outlast it). Null while no parent is entered.
+ */
+export function analyzeParents(parents) {
+    const entered = (parents || []).filter(hasContent);
+    if (entered.length === 0) return null;
+
+    const accompanying = entered.filter(parent => parent.accompanying);
+    const withoutStatus = accompanying.filter(parent => !CANADIAN_STATUS[parent.status] || parent.status === 'none');
+    const withoutExpiry = accompanying.filter(parent => TEMPORARY_STATUSES.includes(parent.status) && !toDate(parent.permitExpiry));
+    const permitEnds = accompanying
+        .filter(parent => TEMPORARY_STATUSES.includes(parent.status))
+        .map(parent => ({ parent, date: toDate(parent.permitExpiry) }))
+        .filter(entry => entry.date)
+        .sort((a, b) => a.date - b.date);
+
+    return {
+        parents: entered,
+        accompanying,
+        withoutStatus,
+        withoutExpiry,
+        permitEnd: permitEnds.length > 0 ? permitEnds[0].date : null,
+        permitEndParent: permitEnds.length > 0 ? permitEnds[0].parent : null
+    };
+}
+
+/**
+ * Custodian of an unaccompanied minor (situation C) and the adults of the household.
+ * The custodian is `{ name, dob, status, address, province, relationship, policeCheck }`,
+ * each adult `{ name, dob, policeCheck }`. Checks, at `asOf`, that the custodian is of age,
+ * is a citizen or permanent resident, lives in Québec, and that every adult of the household
+ * (custodian included) has a police check. Null while nothing but the prefilled values is entered.
+ */
+export function analyzeCustodian(custodian, householdAdults, { asOf = new Date() } = {}) {
+    if (!hasContent(custodian, EMPTY_CUSTODIAN)) return null;
+
+    const reference = toDate(asOf) || new Date();
+    const dob = toDate(custodian.dob);
+    const age = dob ? differenceInYears(reference, dob) : null;
+
+    // Household members born less than 18 years ago are not adults; an unknown age counts as adult
+    const adults = [
+        { ...custodian, isCustodian: true },
+        ...(householdAdults || []).filter(hasContent)
+    ].filter(person => {
+        const personDob = toDate(person.dob);
+        return !personDob || !isBefore(reference, new Date(personDob.getFullYear() + AGE_OF_MAJORITY, personDob.getMonth(), personDob.getDate()));
+    });
+
+    return {
+        age,
+        isOfAge: age === null ? null : age >= AGE_OF_MAJORITY,
+        hasStatus: Boolean(custodian.status),
+        isResident: RESIDENT_STATUSES.includes(custodian.status),
+        hasAddress: Boolean(String(custodian.address || '').trim()),
+        livesInQuebec: isQuebec(custodian.province),
+        relationship: custodian.relationship || '',
+        adults,
+        adultsWithoutCheck: adults.filter(person => !person.policeCheck)
+    };
+}
@@ -0,0 +1,59 @@
+import { parseISO, isValid } from 'date-fns';
+
+// Parsing of the values entered in the form or read from imported files, shared by the logic modules
+
+/**
+ * Local date from a `Date` or an ISO string (`yyyy-MM-dd` is read as local midnight, not UTC).
+ * Returns null for an empty or invalid value.
+ */
+export const toDate = (value) => {
+    if (!value) return null;
+    if (value instanceof Date) return isValid(value) ? value : null;
+    const parsed = parseISO(value);
+    return isValid(parsed) ? parsed : null;
+};
+
+const GROUPED_INTEGER = {
+    ',': /^[+-]?\d{1,3}(,\d{3})+$/,
+    '.': /^[+-]?\d{1,3}(\.\d{3})+$/
+};
+
+/**
+ * Number from a number or a text using either convention: "1234,56", "1 234,56", "1.234,56",
+ * "1,234.56". When both separators appear the last one is the decimal one; a separator repeated
+ * is a thousands one; a single one is decimal. Returns null for an empty or unreadable value.
+ */
+export const toNumber = (value) => {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (value === null || value === undefined) return null;
+    const text = String(value).replace(/\s/g, '');
+    if (!text) return null;
+
+    const commas = (text.match(/,/g) || []).length;
+    const dots = (text.match(/\./g) || []).length;
+    let decimal = null;
+    if (commas > 0 && dots > 0) decimal = text.lastIndexOf(',') > text.lastIndexOf('.') ? ',' : '.';
+    else if (commas === 1) decimal = ',';
+    else if (dots === 1) decimal = '.';
+    const thousands = decimal ? (decimal === ',' ? '.' : ',') : (commas > 0 ? ',' : '.');
+
+    const parts = decimal ? text.split(decimal) : [text];
+    if (parts.length > 2) return null;
+    const [integer, fraction = ''] = parts;
+    if (integer.includes(thousands) && !GROUPED_INTEGER[thousands].test(integer)) return null;
+    const digits = integer.split(thousands).join('');
+    if (!/^[+-]?\d*$/.test(digits) || !/^\d*$/.test(fraction) || !/\d/.test(digits + fraction)) return null;
+    return Number(decimal ? `${digits}.${fraction}` : digits);
+};
+
+// Positive amount, 0 when empty, unreadable or negative
+export const toAmount = (value) => {
+    const number = toNumber(value);
+    return number !== null && number > 0 ? number : 0;
+};
+
+// A record of the form (parent, guarantor...) with at least one value entered;
+// values equal to those of `defaults` (the empty record of the form) do not count
+export const hasContent = (record, defaults = {}) => Boolean(record)
+    && Object.entries(record).some(([key, value]) => value !== '' && value !== false && value !== null && value !== undefined
+        && value !== defaults[key]);
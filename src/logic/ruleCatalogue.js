@@ -0,0 +1,1229 @@
+import { isBefore, format, parseISO } from 'date-fns';
+import { STATUS, SEVERITY, PROGRAM_TYPE_LEVEL, STUDY_LOAD, DELIVERY_MODE } from './constants.js';
+import { formatBreakdown, formatAmount } from './financialThresholds.js';
+import { formatMoney } from './exchangeRates.js';
+import { describeGaps, formatPeriodDate } from './insuranceCoverage.js';
+import { describeProgressFindings, describePartTimeTerms } from './academicProgress.js';
+import { CANADIAN_STATUS, describePeople } from './minorGuardianship.js';
+import { describeTransitions } from './ageTransitions.js';
+import { describeExpectedProof } from './socialSecurityAgreements.js';
+import { toDate } from './parsing.js';
+
+// Declarative catalogue of the dossier controls (GPI / RIQ).
+// Rules are evaluated in order by ruleEvaluator.js; see that file for the rule shape.
+// When MIFI changes a rule, close the old entry with `effectiveTo` and add the new
+// version with the same id and a matching `effectiveFrom`, so older dossiers keep
+// being evaluated against the rules in force on their submission date.
+// When the dossier is exempt from the CAQ, only rules with `appliesWhenExempt: true` run.
+
+const formatDate = (date) => format(date, 'dd/MM/yyyy');
+
+// Accompanying parents entered in detail: how many are expected, their status and permit end
+const checkAccompanyingParents = (parents, expected, step) => {
+    const { accompanying, withoutStatus, withoutExpiry, permitEnd, permitEndParent } = parents;
+    step(`${accompanying.length} parent(s) accompagnateur(s) sur ${expected} attendu(s)`);
+    if (accompanying.length < expected) return { status: STATUS.INCONSISTENT, outcome: 'notAccompanying' };
+    if (withoutStatus.length > 0) {
+        step(`statut manquant : ${describePeople(withoutStatus, 'Parent')}`);
+        return { status: STATUS.MISSING, outcome: 'statusMissing', vars: { people: describePeople(withoutStatus, 'Parent') } };
+    }
+    if (withoutExpiry.length > 0) {
+        step(`fin de permis manquante : ${describePeople(withoutExpiry, 'Parent')}`);
+        return { status: STATUS.MISSING, outcome: 'expiryMissing', vars: { people: describePeople(withoutExpiry, 'Parent') } };
+    }
+    if (!permitEnd) return { status: STATUS.OK, outcome: 'residents' };
+    step(`premier permis échu le ${formatDate(permitEnd)}`);
+    return { status: STATUS.OK, outcome: 'permitEnd', vars: { permitEnd: formatDate(permitEnd), parent: permitEndParent.name || 'parent accompagnateur' } };
+};
+
+const PARENTS_STAY_MESSAGES = {
+    notAccompanying: 'Le nombre de parents accompagnateurs saisis ne correspond pas à la situation déclarée.',
+    statusMissing: 'Statut au Canada à préciser pour : {people}.',
+    expiryMissing: 'Date de fin du permis à préciser pour : {people}.',
+    residents: 'Parents citoyens ou résidents permanents : la validité du CAQ n\'est pas limitée par leur statut.',
+    permitEnd: 'CAQ de l\'enfant limité au {permitEnd} (fin du permis de {parent}).'
+};
+
+const describeFamilyMember = (member) => {
+    const role = member.relationship === 'spouse' ? 'Conjoint(e)' : 'Enfant';
+    return member.name ? `${member.name} (${role})` : `${role}${member.dob ? ` né(e) le ${member.dob}` : ''}`;
+};
+
+const describeConvertedLine = (line) => (line.currency === 'CAD'
+    ? formatAmount(line.cad)
+    : `${formatMoney(line.amount, line.currency)} (≈ ${formatAmount(line.cad)} au taux ${line.rate}${line.rateDate ? ` du ${line.rateDate}` : ''})`);
+
+// "15 000 EUR (≈ 22 350 $ au taux 1.49 du 2025-01-01) + Bourse X 5 000 $ + Garant Y 8 000 $ + … = 35 930 $"
+const describeFunds = (funds) => {
+    const { lines: scholarshipLines, totalCad: scholarshipTotal } = funds.scholarships;
+    const guarantors = funds.guarantors ? funds.guarantors.guarantors : [];
+    if (!funds.fromSources && scholarshipLines.length === 0 && guarantors.length === 0) return formatAmount(funds.totalCad);
+    const declaredTotal = funds.totalCad - scholarshipTotal - (funds.guarantors ? funds.guarantors.countedTotal : 0);
+    const declared = funds.fromSources ? funds.lines.map(describeConvertedLine) : (declaredTotal > 0 ? [formatAmount(declaredTotal)] : []);
+    const awarded = scholarshipLines.map(line => `${line.label} ${describeConvertedLine(line)}`);
+    const committed = guarantors.map(guarantor => `${guarantor.label} ${formatAmount(guarantor.countedCad)}`);
+    return `${[...declared, ...awarded, ...committed].join(' + ')} = ${formatAmount(funds.totalCad)}`;
+};
+
+// Merged periods compared against the window to cover; the window is unknown while its dates are missing
+// Declared insurance periods plus the RAMQ coverage of a social security agreement, when it counts
+const evaluateCoverage = (insurances, coverage, agreement) => {
+    const periods = [...(insurances || []), ...agreement.periods];
+    const expectedProof = describeExpectedProof(agreement);
+    if (periods.length === 0) return { status: STATUS.MISSING, vars: { expectedProof } };
+    if (!coverage) return { status: STATUS.OK, outcome: 'noWindow', vars: { expectedProof } };
+    const vars = {
+        window: `du ${formatPeriodDate(coverage.window.start)} au ${formatPeriodDate(coverage.window.end)}`,
+        gaps: describeGaps(coverage.gaps),
+        tolerance: coverage.toleranceDays,
+        agreementNote: agreement.periods.length > 0 ? `, dont RAMQ par entente du ${formatPeriodDate(parseISO(agreement.period.start))} au ${formatPeriodDate(parseISO(agreement.period.end))}` : '',
+        expectedProof
+    };
+    return coverage.isCovered
+        ? { status: STATUS.OK, outcome: 'covered', vars }
+        : { status: STATUS.INCONSISTENT, outcome: 'gaps', vars };
+};
+
+const describeAccount = (account) => [account.holder || 'Titulaire inconnu', account.bank].filter(Boolean).join(' / ');
+
+// Finances (and bank statements) are only reviewed when MIFI verifies them for the dossier
+const isFinanceReviewed = (data, ctx) => !data.isConditional && !ctx.isFederalFinanceTerritory;
+const isLedgerReviewed = (data, ctx) => Boolean(ctx.bankLedger) && isFinanceReviewed(data, ctx);
+
+export const RULE_CATALOGUE = [
+    // --- PIÈCES JUSTIFICATIVES ---
+    {
+        // Decision tree of caqExemptions.js. When an exemption applies, analyzeDossier
+        // only runs the rules flagged `appliesWhenExempt`: the other controls are moot.
+        id: 'CAQ_EXEMPTION',
+        label: 'Exemption de CAQ',
+        appliesWhen: (data, ctx) => !ctx.exemptions.isCaqRequired || ctx.isPrimary,
+        appliesWhenExempt: true,
+        evaluate: (data, ctx, step) => {
+            ctx.exemptions.checks.forEach(check => step(`${check.label} : ${check.applies ? 'oui' : 'non'}`));
+            const { exemption } = ctx.exemptions;
+            return exemption
+                ? { status: STATUS.OK, outcome: 'exempt', vars: { exemptionReason: exemption.reason } }
+                : { status: STATUS.OK, outcome: 'primaryHint' };
+        },
+        severity: SEVERITY.MINOR,
+        legalRef: 'Art. 3 RIQ',
+        message: {
+            exempt: 'CAQ non requis : {exemptionReason}',
+            primaryHint: 'Note : Un enfant mineur qui est déjà au Québec et dont un parent est travailleur temporaire ou étudiant étranger n\'a pas besoin de CAQ pour le primaire/secondaire.'
+        },
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+    {
+        id: 'PASSPORT',
+        label: 'Passeport et signature conformes',
+        requiredFields: ['passportStatus', 'passportSigned'],
+        evaluate: (data, ctx, step) => {
+            step(`passportStatus ${data.passportStatus || 'non renseigné'}`);
+            if (data.passportStatus === 'absent') return { status: STATUS.MISSING };
+            if (data.passportStatus === 'expired') return { status: STATUS.EXPIRED };
+            if (ctx.passportExpiry && isBefore(ctx.passportExpiry, toDate(ctx.asOf) || new Date())) {
+                return { status: STATUS.EXPIRED, outcome: 'expiredOn', vars: { expiry: formatDate(ctx.passportExpiry) } };
+            }
+            if (ctx.isAdult) step(`majeur : passportSigned ${data.passportSigned ? 'présent' : 'manquant'}`);
+            if (ctx.isAdult && !data.passportSigned) return { status: STATUS.INCONSISTENT };
+            return { status: STATUS.OK };
+        },
+        severity: SEVERITY.BLOCKING,
+        legalRef: 'Art. 13 RIQ',
+        message: {
+            [STATUS.MISSING]: 'Passeport absent.',
+            expiredOn: 'Le passeport est expiré depuis le {expiry}.',
+            [STATUS.EXPIRED]: 'Le passeport est expiré.',
+            [STATUS.INCONSISTENT]: 'Passeport non signé : fournir une autre pièce d\'identité officielle avec photo et signature.'
+        },
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+    {
+        // The study permit is capped at the passport expiry date
+        id: 'PASSPORT_VALIDITY',
+        label: 'Validité du passeport sur la durée des études',
+        appliesWhen: (data, ctx) => Boolean(ctx.passportExpiry) && data.passportStatus === 'valid',
+        requiredFields: ['passportNumber', 'passportCountry', 'passportExpiry'],
+        evaluate: (data, ctx) => {
+            const vars = {
+                expiry: formatDate(ctx.passportExpiry),
+                programEnd: toDate(data.endDate) ? formatDate(toDate(data.endDate)) : '',
+                caqEnd: ctx.caqValidity.nominalEnd ? formatDate(ctx.caqValidity.nominalEnd) : ''
+            };
+            if (toDate(data.endDate) && isBefore(ctx.passportExpiry, toDate(data.endDate))) {
+                return { status: STATUS.INCONSISTENT, outcome: 'beforeProgramEnd', vars };
+            }
+            if (ctx.caqValidity.nominalEnd && isBefore(ctx.passportExpiry, ctx.caqValidity.nominalEnd)) {
+                return { status: STATUS.OK, outcome: 'beforeCaqEnd', vars };
+            }
+            return { status: STATUS.OK, outcome: 'valid', vars };
+        },
+        severity: SEVERITY.MAJOR,
+        legalRef: 'Permis d\'études (IRCC)',
+        message: {
+            beforeProgramEnd: 'Le passeport expire le {expiry}, avant la fin du programme ({programEnd}) : le permis d\'études sera limité à cette date. Conseiller le renouvellement du passeport.',
+            beforeCaqEnd: 'Le passeport expire le {expiry}, avant la fin de la période CAQ projetée ({caqEnd}) : le permis d\'études sera limité à cette date.',
+            valid: 'Passeport valide jusqu\'au {expiry}.'
+        },
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+    {
+        id: 'FORM_DECLARATION',
+        label: 'Formulaires déclaration et engagement',
+        requiredFields: ['formDeclaration'],
+        severity: SEVERITY.BLOCKING,
+        legalRef: 'Art. 13 RIQ',
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+    {
+        id: 'ADMISSION_LETTER',
+        label: "Lettre d'admission (Nouveau programme)",
+        appliesWhen: (data, ctx) => ctx.isFirstApplication || ctx.isNewProgram,
+        requiredFields: ['admissionLetter'],
+        waivedWhen: (data, ctx) => ctx.isPrimary || ctx.isMinorCategory,
+        severity: SEVERITY.BLOCKING,
+        legalRef: 'Art. 13 RIQ',
+        message: {
+            waived: 'Note : Pas requise pour les moins de 16 ans au primaire/secondaire si un parent a un statut. Sinon, à fournir.',
+            default: "Obligatoire : Vous débutez un nouveau programme ou il s'agit d'une première demande. Une lettre d'admission complète est requise."
+        },
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+    {
+        id: 'ATTENDANCE_CERTIFICATE',
+        label: 'Attestation de fréquentation (Programme actuel)',
+        appliesWhen: (data, ctx) => !ctx.isFirstApplication && !ctx.isNewProgram,
+        requiredFields: ['admissionLetter'],
+        waivedWhen: (data, ctx) => ctx.isPrimary || ctx.isMinorCategory,
+        severity: SEVERITY.BLOCKING,
+        legalRef: 'Art. 13 RIQ',
+        message: {
+            waived: 'Note : Pas requise pour les moins de 16 ans au primaire/secondaire si un parent a un statut. Sinon, à fournir.',
+            default: 'Obligatoire : Vous poursuivez votre programme actuel. Une attestation de fréquentation récente est requise.'
+        },
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+
+    // --- LETTRE D'ADMISSION (détails) ---
+    // Only when the details of the letter have been entered; the checkbox alone is checked above
+    {
+        id: 'ADMISSION_INSTITUTION',
+        label: "Établissement d'enseignement désigné (EED)",
+        appliesWhen: (data, ctx) => Boolean(ctx.admission),
+        requiredFields: ['admissionInstitution'],
+        evaluate: (data, ctx, step) => {
+            const { institution, offersLevel } = ctx.admission;
+            if (!data.admissionInstitution) return { status: STATUS.MISSING };
+            if (!institution) {
+                step(`${data.admissionInstitution} absent du registre`);
+                return { status: STATUS.INCONSISTENT, outcome: 'unknown' };
+            }
+            step(`${institution.name} trouvé dans le registre`);
+            const vars = {
+                institution: institution.name,
+                dli: institution.dliNumber ? ` (${institution.dliNumber})` : '',
+                levels: institution.levels.join(', ') || 'aucun niveau renseigné'
+            };
+            if (!offersLevel) {
+                step(`niveau ${data.studyLevel} non offert`);
+                return { status: STATUS.INCONSISTENT, outcome: 'levelNotOffered', vars };
+            }
+            return { status: STATUS.OK, outcome: 'designated', vars };
+        },
+        severity: SEVERITY.MAJOR,
+        legalRef: 'Art. 11 RIQ',
+        message: {
+            unknown: '« {admissionInstitution} » ne figure pas au registre des établissements désignés : vérifier le nom ou le numéro EED (ou mettre à jour le registre).',
+            levelNotOffered: '{institution} n\'offre pas le niveau {studyLevel} (niveaux : {levels}).',
+            designated: '{institution}{dli} : établissement désigné.',
+            [STATUS.MISSING]: "Indiquer l'établissement ou le numéro EED figurant sur la lettre.",
+            default: ''
+        },
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+    {
+        id: 'ADMISSION_LETTER_DATES',
+        label: "Dates de la lettre d'admission",
+        appliesWhen: (data, ctx) => Boolean(ctx.admission),
+        requiredFields: ['admissionStartDate', 'admissionEndDate'],
+        evaluate: (data, ctx, step) => {
+            if (!data.admissionStartDate || !data.admissionEndDate) return { status: STATUS.MISSING };
+            const { dateMismatches } = ctx.admission;
+            if (dateMismatches.length === 0) return { status: STATUS.OK };
+            const labels = { start: 'début', end: 'fin' };
+            const mismatches = dateMismatches
+                .map(m => `${labels[m.id]} ${formatDate(m.letter)} sur la lettre / ${formatDate(m.declared)} déclaré`)
+                .join(', ');
+            step(mismatches);
+            return { status: STATUS.INCONSISTENT, vars: { mismatches } };
+        },
+        severity: SEVERITY.MAJOR,
+        legalRef: 'Art. 13 RIQ',
+        message: {
+            [STATUS.INCONSISTENT]: 'Les dates du programme ne correspondent pas à la lettre d\'admission ({mismatches}).',
+            [STATUS.MISSING]: 'Reporter les dates de début et de fin du programme indiquées sur la lettre.',
+            default: ''
+        },
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+    {
+        id: 'ADMISSION_CONDITIONS',
+        label: 'Admission conditionnelle',
+        appliesWhen: (data, ctx) => Boolean(ctx.admission),
+        evaluate: (data, ctx) => ({ status: ctx.admission.isConditional ? STATUS.INCONSISTENT : STATUS.OK }),
+        severity: SEVERITY.MINOR,
+        legalRef: 'Art. 13 RIQ',
+        message: {
+            [STATUS.INCONSISTENT]: 'Admission sous conditions ({admissionConditions}) : joindre la preuve que les conditions sont remplies.',
+            default: ''
+        },
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+    {
+        id: 'ADMISSION_LETTER_RECENCY',
+        label: "Date d'émission de la lettre",
+        appliesWhen: (data, ctx) => Boolean(ctx.admission),
+        requiredFields: ['admissionIssueDate'],
+        evaluate: (data, ctx, step) => {
+            const { issueDate, ageMonths, maxAgeMonths, isOutdated } = ctx.admission;
+            if (!issueDate) return { status: STATUS.MISSING };
+            step(`émise il y a ${ageMonths} mois (maximum ${maxAgeMonths})`);
+            const vars = { issueDate: formatDate(issueDate), maxAgeMonths };
+            return { status: isOutdated ? STATUS.EXPIRED : STATUS.OK, vars };
+        },
+        severity: SEVERITY.MAJOR,
+        legalRef: 'Art. 13 RIQ',
+        message: {
+            [STATUS.EXPIRED]: 'Lettre émise le {issueDate}, il y a plus de {maxAgeMonths} mois : fournir une lettre ou une confirmation récente.',
+            [STATUS.MISSING]: "Indiquer la date d'émission de la lettre d'admission.",
+            default: ''
+        },
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+    {
+        // Recency table of documentRecency.js, once the documents are dated
+        id: 'DOCUMENT_RECENCY',
+        label: 'Date des pièces justificatives',
+        appliesWhen: (data, ctx) => Boolean(ctx.documentDates),
+        requiredFields: ['documentDates'],
+        evaluate: (data, ctx, step) => {
+            const { documents, stale, expired, undated, untracked } = ctx.documentDates;
+            documents.forEach(document => step(`${document.field} : ${document.ageDays !== null ? `${document.ageDays} j` : 'non daté'}${document.maxAgeDays ? ` (maximum ${document.maxAgeDays} j)` : ''}`));
+            // Documents the table cannot date are named so the note never reads as a full check
+            if (untracked.length > 0) step(`non datés par l'outil : ${untracked.join(', ')}`);
+            const untrackedNote = untracked.length > 0 ? ` Dates non contrôlées, à vérifier sur les originaux : ${untracked.join(', ')}.` : '';
+            if (stale.length > 0 || expired.length > 0) {
+                const findings = [
+                    ...stale.map(document => `${document.label} : document daté du ${formatDate(document.issued)} (trop ancien de ${document.staleByDays} jours)`),
+                    ...expired.map(document => `${document.label} : expiré le ${formatDate(document.expires)} (depuis ${document.expiredSinceDays} jours)`)
+                ];
+                return { status: STATUS.EXPIRED, vars: { findings: findings.join(' ; '), untrackedNote } };
+            }
+            if (undated.length > 0) {
+                return { status: STATUS.MISSING, vars: { undated: undated.map(document => document.label).join(', '), untrackedNote } };
+            }
+            if (untracked.length > 0) return { status: STATUS.OK, outcome: 'untracked', vars: { untracked: untracked.join(', ') } };
+            return { status: STATUS.OK };
+        },
+        severity: SEVERITY.MAJOR,
+        legalRef: 'Art. 13 RIQ',
+        message: {
+            untracked: 'Dates non contrôlées, à vérifier sur les originaux : {untracked}.',
+            [STATUS.EXPIRED]: '{findings}. Fournir des documents récents.{untrackedNote}',
+            [STATUS.MISSING]: "Indiquer la date d'émission de : {undated}.{untrackedNote}",
+            default: ''
+        },
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+
+    // --- RENOUVELLEMENT ---
+    {
+        id: 'RENEWAL_TRANSCRIPTS',
+        label: 'Relevé de notes officiel',
+        appliesWhen: (data, ctx) => ctx.isRenewal,
+        requiredFields: ['transcripts', 'explanationsStudy'],
+        requirement: 'any',
+        evaluate: (data, ctx, step) => {
+            if (!data.transcripts) return { status: data.explanationsStudy ? STATUS.INCONSISTENT : STATUS.MISSING };
+            const progress = ctx.academicProgress;
+            if (!progress) return { status: STATUS.OK };
+
+            // The results entered term by term are the evidence of the progress
+            step(`${progress.terms.length} session(s) : ${progress.totalPassed} / ${progress.totalAttempted} réussis`);
+            const findings = describeProgressFindings(progress);
+            if (findings.length === 0) return { status: STATUS.OK, outcome: 'regular', vars: { passed: progress.totalPassed, attempted: progress.totalAttempted } };
+            findings.forEach(finding => step(finding));
+            return {
+                status: STATUS.INCONSISTENT,
+                outcome: data.explanationsStudy ? 'explainedFindings' : 'findings',
+                vars: { findings: findings.join(' ; ') }
+            };
+        },
+        severity: SEVERITY.MAJOR,
+        legalRef: 'Art. 11 RIQ',
+        message: {
+            regular: 'Progression régulière : {passed} / {attempted} réussis.',
+            findings: 'Progression à justifier : {findings}. Joindre une lettre explicative.',
+            explainedFindings: 'Lettre explicative fournie, à vérifier au regard de : {findings}.',
+            [STATUS.INCONSISTENT]: 'Lettre explicative fournie.'
+        },
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+    {
+        id: 'RENEWAL_FULL_TIME_JUSTIFICATION',
+        label: 'Justification temps plein / Documents officiels',
+        appliesWhen: (data, ctx) => ctx.isRenewal
+            && (Boolean(data.explanationsStudy) || Boolean(ctx.academicProgress && ctx.academicProgress.partTimeTerms.length > 0)),
+        requiredFields: ['fullTimeJustification'],
+        evaluate: (data, ctx, step) => {
+            const progress = ctx.academicProgress;
+            const status = data.fullTimeJustification ? STATUS.OK : STATUS.MISSING;
+            step(`fullTimeJustification ${data.fullTimeJustification ? 'présent' : 'manquant'}`);
+            if (!progress || progress.partTimeTerms.length === 0) return { status };
+            const terms = describePartTimeTerms(progress);
+            step(`sessions sous le temps plein : ${terms}`);
+            return { status, outcome: 'partTime', vars: { terms } };
+        },
+        severity: SEVERITY.MINOR,
+        legalRef: 'Art. 11 RIQ',
+        message: {
+            partTime: 'Sessions sous le seuil de temps plein ({terms}) : sceau, signature registraire, timbres passeport ou certificat médical requis.',
+            default: 'Sceau, signature registraire, timbres passeport ou certificat médical requis.'
+        },
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+    {
+        id: 'RENEWAL_CAQ_CONTINUITY',
+        label: 'Continuité CAQ / Études précédentes',
+        appliesWhen: (data, ctx) => ctx.isRenewal && Boolean(data.prevCAQStart && data.prevCAQEnd && data.prevStudyStart && (data.prevStudyEnd || data.prevStudyInProgress)),
+        requiredFields: ['prevCAQStart', 'prevCAQEnd', 'prevStudyStart', 'prevStudyEnd'],
+        evaluate: (data, ctx) => {
+            // The previous CAQ must cover the whole previous study period (up to the reference date if still in progress)
+            const caqS = new Date(data.prevCAQStart);
+            const caqE = new Date(data.prevCAQEnd);
+            const studyS = new Date(data.prevStudyStart);
+            const studyE = data.prevStudyInProgress ? new Date(ctx.asOf) : new Date(data.prevStudyEnd);
+            const isCovered = (caqS <= studyS) && (caqE >= studyE);
+            return { status: isCovered ? STATUS.OK : STATUS.MISSING };
+        },
+        severity: SEVERITY.MAJOR,
+        legalRef: 'Art. 11 RIQ',
+        message: {
+            [STATUS.OK]: 'Continuité vérifiée.',
+            [STATUS.MISSING]: "La période du CAQ précédent ({prevCAQStart} au {prevCAQEnd}) ne couvre pas entièrement la période d'études déclarée."
+        },
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+    {
+        id: 'RENEWAL_ENTRY_DATE',
+        label: "Date d'entrée vs Début Études",
+        appliesWhen: (data, ctx) => ctx.isRenewal && Boolean(data.entryDate && data.startDate),
+        requiredFields: ['entryDate', 'startDate'],
+        evaluate: (data) => {
+            const entryValid = new Date(data.entryDate) <= new Date(data.startDate);
+            return { status: entryValid ? STATUS.OK : STATUS.INCONSISTENT };
+        },
+        severity: SEVERITY.MINOR,
+        legalRef: 'Art. 11 RIQ',
+        message: {
+            [STATUS.INCONSISTENT]: "La date d'entrée déclarée est postérieure au début des cours."
+        },
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+    {
+        id: 'RENEWAL_NEW_PROGRAM',
+        label: 'Profil : Nouveau Programme',
+        appliesWhen: (data, ctx) => ctx.isRenewal && ctx.isNewProgram,
+        severity: SEVERITY.MINOR,
+        message: 'Le candidat entame un nouveau programme.',
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+
+    // --- DOCUMENTS POUR MINEUR ---
+    {
+        id: 'MINOR_BIRTH_CERTIFICATE',
+        label: 'Certificat de naissance (Noms parents requis)',
+        appliesWhen: (data, ctx) => ctx.requiresMinorDocuments,
+        requiredFields: ['birthCertificate'],
+        severity: SEVERITY.BLOCKING,
+        legalRef: 'Art. 13 RIQ',
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+    {
+        id: 'MINOR_PARENTS_IDENTITY',
+        label: 'Identité des deux parents (Passeport/CNI)',
+        appliesWhen: (data, ctx) => ctx.requiresMinorDocuments,
+        requiredFields: ['parentsIdentity'],
+        severity: SEVERITY.BLOCKING,
+        legalRef: 'Art. 13 RIQ',
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+    {
+        id: 'MINOR_A_PARENTS_STAY',
+        label: 'Durée du séjour des parents (Permis/Admission)',
+        appliesWhen: (data, ctx) => ctx.requiresMinorDocuments && data.minorSituation === 'both_parents',
+        requiredFields: ['accompanyingParentsStatus'],
+        evaluate: (data, ctx, step) => {
+            if (!data.accompanyingParentsStatus) {
+                step('accompanyingParentsStatus manquant');
+                return { status: STATUS.MISSING };
+            }
+            return ctx.parents ? checkAccompanyingParents(ctx.parents, 2, step) : { status: STATUS.OK };
+        },
+        severity: SEVERITY.MAJOR,
+        legalRef: 'Art. 13 RIQ',
+        message: {
+            ...PARENTS_STAY_MESSAGES,
+            notAccompanying: 'Situation A : les deux parents doivent être saisis comme accompagnateurs.',
+            default: 'Établit la validité du CAQ de l\'enfant (date de fin du statut du parent). Situation A: Les deux parents accompagnent.'
+        },
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+    {
+        id: 'MINOR_B_OTHER_PARENT_IDENTITY',
+        label: 'Identité du parent non-accompagnant',
+        appliesWhen: (data, ctx) => ctx.requiresMinorDocuments && data.minorSituation === 'one_parent',
+        requiredFields: ['nonAccompanyingParentIdentity'],
+        severity: SEVERITY.BLOCKING,
+        legalRef: 'Art. 13 RIQ',
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+    {
+        // Only when the parents are entered in detail: the accompanying parent's status caps the CAQ
+        id: 'MINOR_B_PARENT_STAY',
+        label: 'Statut du parent accompagnateur',
+        appliesWhen: (data, ctx) => ctx.requiresMinorDocuments && data.minorSituation === 'one_parent' && Boolean(ctx.parents),
+        evaluate: (data, ctx, step) => checkAccompanyingParents(ctx.parents, 1, step),
+        severity: SEVERITY.MAJOR,
+        legalRef: 'Art. 13 RIQ',
+        message: {
+            ...PARENTS_STAY_MESSAGES,
+            notAccompanying: 'Situation B : indiquer le parent qui accompagne l\'enfant.'
+        },
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+    {
+        // According to Quebec.ca: Consent OR Proof of Sole Custody
+        id: 'MINOR_B_CONSENT_OR_CUSTODY',
+        label: 'Consentement OU Preuve de garde exclusive',
+        appliesWhen: (data, ctx) => ctx.requiresMinorDocuments && data.minorSituation === 'one_parent',
+        requiredFields: ['consentDeclaration', 'soleCustodyProof'],
+        requirement: 'any',
+        evaluate: (data) => {
+            if (data.soleCustodyProof) return { status: STATUS.OK, outcome: 'soleCustody' };
+            return { status: data.consentDeclaration ? STATUS.OK : STATUS.MISSING };
+        },
+        severity: SEVERITY.BLOCKING,
+        legalRef: 'Art. 13 RIQ',
+        message: {
+            soleCustody: 'Justifié par preuve de garde exclusive.',
+            default: 'Situation B : Consentement requis si pas de garde exclusive.'
+        },
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+    {
+        id: 'MINOR_HANDWRITTEN_SIGNATURES',
+        label: 'Formulaires signés (Manuscrit/Numérisé)',
+        appliesWhen: (data, ctx) => ctx.requiresMinorDocuments,
+        requiredFields: ['formDeclaration', 'admissionLetter'],
+        severity: SEVERITY.MINOR,
+        legalRef: 'GPI 3.5',
+        message: 'Les signatures dactylographiées ne sont pas acceptées. Signature manuscrite (stylet/souris) ou numérisée requise.',
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+    {
+        id: 'MINOR_C_AUTHORITY_DELEGATION',
+        label: 'Délégation autorité parentale (Chaque parent)',
+        appliesWhen: (data, ctx) => ctx.requiresMinorDocuments && data.minorSituation === 'unaccompanied',
+        requiredFields: ['parentalAuthorityDelegation'],
+        severity: SEVERITY.BLOCKING,
+        legalRef: 'Art. 13 RIQ',
+        message: 'Situation C: Enfant non accompagné. Délégation formelle de chaque parent requise.',
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+    {
+        id: 'MINOR_C_CUSTODY_DECLARATION',
+        label: 'Prise en charge par un adulte au Québec',
+        appliesWhen: (data, ctx) => ctx.requiresMinorDocuments && data.minorSituation === 'unaccompanied',
+        requiredFields: ['custodyDeclaration'],
+        severity: SEVERITY.BLOCKING,
+        legalRef: 'Art. 14 RIQ',
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+    {
+        id: 'MINOR_C_CUSTODIAN_STATUS',
+        label: 'Statut du responsable (Citoyen/RP)',
+        appliesWhen: (data, ctx) => ctx.requiresMinorDocuments && data.minorSituation === 'unaccompanied',
+        requiredFields: ['citizenshipProof'],
+        evaluate: (data, ctx, step) => {
+            if (!data.citizenshipProof) {
+                step('citizenshipProof manquant');
+                return { status: STATUS.MISSING };
+            }
+            if (!ctx.custodian) return { status: STATUS.OK };
+            if (!ctx.custodian.hasStatus) return { status: STATUS.MISSING, outcome: 'statusMissing' };
+            step(`statut : ${data.custodian.status}`);
+            const vars = { custodianStatus: CANADIAN_STATUS[data.custodian.status] || data.custodian.status };
+            return ctx.custodian.isResident
+                ? { status: STATUS.OK, outcome: 'resident', vars }
+                : { status: STATUS.INCONSISTENT, outcome: 'notResident', vars };
+        },
+        severity: SEVERITY.MAJOR,
+        legalRef: 'Art. 14 RIQ',
+        message: {
+            statusMissing: 'Préciser le statut du gardien au Canada.',
+            resident: 'Gardien : {custodianStatus}.',
+            notResident: 'Le gardien doit être citoyen canadien ou résident permanent (statut saisi : {custodianStatus}).',
+            default: ''
+        },
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+    {
+        id: 'MINOR_C_CUSTODIAN_IDENTITY',
+        label: 'Identité du responsable au Québec',
+        appliesWhen: (data, ctx) => ctx.requiresMinorDocuments && data.minorSituation === 'unaccompanied',
+        requiredFields: ['responsibleAdultIdentity'],
+        severity: SEVERITY.BLOCKING,
+        legalRef: 'Art. 14 RIQ',
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+    {
+        id: 'MINOR_C_CUSTODIAN_AGE',
+        label: 'Majorité du gardien',
+        appliesWhen: (data, ctx) => ctx.requiresMinorDocuments && data.minorSituation === 'unaccompanied' && Boolean(ctx.custodian),
+        evaluate: (data, ctx, step) => {
+            const { age, isOfAge } = ctx.custodian;
+            if (isOfAge === null) return { status: STATUS.MISSING };
+            step(`gardien âgé de ${age} ans`);
+            const vars = { custodianAge: age, relationship: ctx.custodian.relationship ? ` (${ctx.custodian.relationship})` : '' };
+            return isOfAge ? { status: STATUS.OK, vars } : { status: STATUS.INCONSISTENT, vars };
+        },
+        severity: SEVERITY.BLOCKING,
+        legalRef: 'Art. 14 RIQ',
+        message: {
+            [STATUS.OK]: 'Gardien{relationship} âgé de {custodianAge} ans.',
+            [STATUS.INCONSISTENT]: 'Le gardien{relationship} a {custodianAge} ans : il doit être majeur.',
+            [STATUS.MISSING]: 'Indiquer la date de naissance du gardien.'
+        },
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+    {
+        id: 'MINOR_C_CUSTODIAN_RESIDENCE',
+        label: 'Preuve de résidence de l\'adulte responsable',
+        appliesWhen: (data, ctx) => ctx.requiresMinorDocuments && data.minorSituation === 'unaccompanied',
+        requiredFields: ['residenceProof'],
+        evaluate: (data, ctx, step) => {
+            if (!data.residenceProof) {
+                step('residenceProof manquant');
+                return { status: STATUS.MISSING };
+            }
+            if (!ctx.custodian) return { status: STATUS.OK };
+            if (!ctx.custodian.livesInQuebec) {
+                step(`province : ${data.custodian.province || 'non précisée'}`);
+                return { status: STATUS.INCONSISTENT, outcome: 'outsideQuebec' };
+            }
+            return ctx.custodian.hasAddress ? { status: STATUS.OK } : { status: STATUS.MISSING, outcome: 'addressMissing' };
+        },
+        severity: SEVERITY.MAJOR,
+        legalRef: 'Art. 14 RIQ',
+        message: {
+            outsideQuebec: 'Le gardien doit résider au Québec.',
+            addressMissing: 'Indiquer l\'adresse du gardien au Québec.',
+            default: ''
+        },
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+    {
+        id: 'MINOR_C_CRIMINAL_RECORD_CHECK',
+        label: 'Absence antécédents judiciaires (Tous adultes résidence)',
+        appliesWhen: (data, ctx) => ctx.requiresMinorDocuments && data.minorSituation === 'unaccompanied',
+        requiredFields: ['criminalRecordCheck'],
+        evaluate: (data, ctx, step) => {
+            if (!data.criminalRecordCheck) {
+                step('criminalRecordCheck manquant');
+                return { status: STATUS.MISSING };
+            }
+            if (!ctx.custodian) return { status: STATUS.OK };
+            const { adults, adultsWithoutCheck } = ctx.custodian;
+            step(`${adults.length - adultsWithoutCheck.length}/${adults.length} adulte(s) avec vérification`);
+            if (adultsWithoutCheck.length > 0) {
+                return { status: STATUS.MISSING, outcome: 'adultsWithoutCheck', vars: { people: describePeople(adultsWithoutCheck, 'Adulte') } };
+            }
+            return { status: STATUS.OK, outcome: 'allChecked', vars: { adultCount: adults.length } };
+        },
+        severity: SEVERITY.BLOCKING,
+        legalRef: 'Art. 14 RIQ',
+        message: {
+            adultsWithoutCheck: 'Vérification policière manquante pour : {people}.',
+            allChecked: 'Vérification policière fournie pour les {adultCount} adulte(s) du foyer.',
+            default: 'Rapport de police requis pour chaque adulte du foyer.'
+        },
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+    {
+        // Situation D: emancipated (handled in App.jsx but reinforced here)
+        id: 'MINOR_D_EMANCIPATION_JUDGMENT',
+        label: "Jugement d'émancipation (si applicable)",
+        appliesWhen: (data) => data.minorSituation === 'emancipated',
+        requiredFields: ['emancipationJudgment'],
+        severity: SEVERITY.BLOCKING,
+        legalRef: 'Art. 13 RIQ',
+        message: 'Requis pour les mineurs émancipés de 16 ans et moins.',
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+
+    {
+        // Informational: the requirements of a minor change when 17 or 18 is reached during the stay
+        id: 'MINOR_AGE_TRANSITION',
+        label: "Changement d'âge pendant le séjour",
+        appliesWhen: (data, ctx) => Boolean(ctx.ageTransitions) && (ctx.ageTransitions.transitions.length > 0 || Boolean(ctx.ageTransitions.renewal)),
+        evaluate: (data, ctx, step) => {
+            const { transitions, renewal } = ctx.ageTransitions;
+            transitions.forEach(transition => step(`${transition.id} le ${formatDate(transition.date)}`));
+            const vars = {
+                transitionList: transitions.length > 0 ? `${describeTransitions(transitions)}.` : 'Aucun seuil d\'âge franchi pendant le séjour.',
+                renewalPlan: renewal ? ` ${renewal.explanation}` : ''
+            };
+            return { status: STATUS.OK, vars };
+        },
+        severity: SEVERITY.MINOR,
+        message: '{transitionList}{renewalPlan}',
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+
+    // --- MEMBRES DE LA FAMILLE ACCOMPAGNANTS ---
+    {
+        id: 'FAMILY_IDENTITY',
+        label: 'Identité des membres accompagnants (Passeport)',
+        appliesWhen: (data, ctx) => ctx.accompanyingMembers.length > 0,
+        requiredFields: ['familyMembers'],
+        evaluate: (data, ctx) => {
+            const missing = ctx.accompanyingMembers.filter(m => !m.identityDoc);
+            return {
+                status: missing.length === 0 ? STATUS.OK : STATUS.MISSING,
+                vars: { members: missing.map(describeFamilyMember).join(', ') }
+            };
+        },
+        severity: SEVERITY.MAJOR,
+        legalRef: 'Art. 13 RIQ',
+        message: {
+            [STATUS.OK]: '',
+            [STATUS.MISSING]: 'Passeport manquant pour : {members}.'
+        },
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+    {
+        id: 'FAMILY_CIVIL_STATUS',
+        label: "Documents d'état civil des membres accompagnants",
+        appliesWhen: (data, ctx) => ctx.accompanyingMembers.length > 0,
+        requiredFields: ['familyMembers'],
+        evaluate: (data, ctx) => {
+            const missing = ctx.accompanyingMembers.filter(m => !m.civilStatusDoc);
+            return {
+                status: missing.length === 0 ? STATUS.OK : STATUS.MISSING,
+                vars: { members: missing.map(describeFamilyMember).join(', ') }
+            };
+        },
+        severity: SEVERITY.MAJOR,
+        legalRef: 'Art. 13 RIQ',
+        message: {
+            [STATUS.OK]: '',
+            [STATUS.MISSING]: "Certificat de mariage / union (conjoint) ou acte de naissance (enfant) manquant pour : {members}."
+        },
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+
+    // --- PROGRAMME & TIMELINE ---
+    {
+        id: 'PROGRAM_DURATION',
+        label: 'Durée du programme (> 6 mois)',
+        requiredFields: ['startDate', 'endDate'],
+        // Programs of six months or less never reach this rule: the SHORT_PROGRAM exemption
+        // (caqExemptions.js) already concludes that no CAQ is required
+        evaluate: (data, ctx, step) => {
+            const missing = ['startDate', 'endDate'].filter(field => !toDate(data[field]));
+            if (missing.length > 0) {
+                step(`${missing.join(', ')} manquant`);
+                return { status: STATUS.MISSING };
+            }
+            return { status: STATUS.OK };
+        },
+        severity: SEVERITY.BLOCKING,
+        legalRef: 'Art. 11 RIQ',
+        message: {
+            [STATUS.OK]: '',
+            [STATUS.MISSING]: 'Date de début ou de fin du programme manquante : la durée du programme ne peut pas être vérifiée.'
+        },
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+
+    // --- ADMISSIBILITÉ DU PROGRAMME ---
+    {
+        id: 'PROGRAM_TYPE',
+        label: 'Type de programme',
+        requiredFields: ['programType'],
+        evaluate: (data) => {
+            if (!data.programType) return { status: STATUS.MISSING };
+            const expectedLevel = PROGRAM_TYPE_LEVEL[data.programType];
+            if (expectedLevel && expectedLevel !== data.studyLevel) {
+                return { status: STATUS.INCONSISTENT, outcome: 'levelMismatch', vars: { expectedLevel } };
+            }
+            return { status: STATUS.OK };
+        },
+        severity: SEVERITY.MINOR,
+        legalRef: 'Art. 11 RIQ',
+        message: {
+            levelMismatch: 'Un programme {programType} relève du niveau {expectedLevel}, pas {studyLevel}.',
+            [STATUS.MISSING]: 'Préciser le diplôme visé (AEC, DEP, DEC, baccalauréat, maîtrise, doctorat, cours de langue, stage, échange).',
+            default: ''
+        },
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+    {
+        // Studies must take place in Québec: distance programs do not qualify
+        id: 'PROGRAM_DELIVERY_MODE',
+        label: 'Mode de formation',
+        requiredFields: ['deliveryMode'],
+        evaluate: (data) => {
+            if (data.deliveryMode === DELIVERY_MODE.DISTANCE) return { status: STATUS.INCONSISTENT, outcome: 'distance' };
+            if (data.deliveryMode === DELIVERY_MODE.HYBRID) return { status: STATUS.OK, outcome: 'hybrid' };
+            return { status: STATUS.OK };
+        },
+        severity: SEVERITY.BLOCKING,
+        legalRef: 'Art. 11 RIQ',
+        message: {
+            distance: 'Formation entièrement à distance : elle ne nécessite pas de séjour au Québec et ne donne pas droit au CAQ.',
+            hybrid: 'Formation hybride : vérifier que l\'essentiel des cours est suivi en présentiel au Québec.',
+            default: ''
+        },
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+    {
+        // Part-time is only accepted for the last term, when fewer courses remain to graduate
+        id: 'PROGRAM_FULL_TIME',
+        label: 'Études à temps plein',
+        requiredFields: ['studyLoad'],
+        evaluate: (data) => {
+            if (data.studyLoad !== STUDY_LOAD.PART_TIME) return { status: STATUS.OK };
+            return data.isLastTerm
+                ? { status: STATUS.OK, outcome: 'lastTerm' }
+                : { status: STATUS.INCONSISTENT, outcome: 'partTime' };
+        },
+        severity: SEVERITY.MAJOR,
+        legalRef: 'Art. 11 RIQ',
+        message: {
+            partTime: 'Temps partiel hors dernière session : le CAQ exige des études à temps plein.',
+            lastTerm: 'Temps partiel accepté pour la dernière session (joindre la confirmation de l\'établissement).',
+            default: ''
+        },
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+
+    // --- ASSURANCES ---
+    {
+        id: 'INSURANCE_PAST',
+        label: 'Assurances passées (Maintien de couverture)',
+        appliesWhen: (data, ctx) => !ctx.isUniversity && ctx.isRenewal,
+        requiredFields: ['pastInsurances'],
+        evaluate: (data, ctx) => evaluateCoverage(data.pastInsurances, ctx.pastCoverage, ctx.agreementCoverage),
+        severity: SEVERITY.MAJOR,
+        legalRef: 'Art. 15 RIQ',
+        message: {
+            noWindow: 'Périodes déclarées (dates du CAQ ou du séjour précédent manquantes : couverture non vérifiée).',
+            covered: 'Séjour précédent couvert ({window}, tolérance {tolerance} j{agreementNote}).',
+            gaps: 'Séjour précédent ({window}) non couvert : {gaps}. Preuve attendue : {expectedProof}.',
+            [STATUS.MISSING]: 'Requis pour Renouvellement : Prouver le maintien de l\'assurance pour toute la durée du séjour précédent. Preuve attendue : {expectedProof}.'
+        },
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+    {
+        id: 'INSURANCE_FUTURE',
+        label: 'Assurances futures',
+        appliesWhen: (data, ctx) => !ctx.isUniversity,
+        requiredFields: ['futureInsurances'],
+        evaluate: (data, ctx) => evaluateCoverage(data.futureInsurances, ctx.futureCoverage, ctx.agreementCoverage),
+        severity: SEVERITY.MAJOR,
+        legalRef: 'Art. 15 RIQ',
+        message: {
+            noWindow: '',
+            covered: 'CAQ projeté couvert ({window}{agreementNote}).',
+            gaps: 'CAQ projeté ({window}) non couvert : {gaps}. Preuve attendue : {expectedProof}.',
+            [STATUS.MISSING]: 'Requis pour Collégial/Professionnel. Preuve attendue : {expectedProof}.'
+        },
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+    {
+        // Coverage claimed under a social security agreement: nationality, form and its validity period
+        id: 'INSURANCE_AGREEMENT',
+        label: 'Couverture RAMQ (entente de sécurité sociale)',
+        appliesWhen: (data, ctx) => !ctx.isUniversity && ctx.agreementCoverage.isClaimed,
+        requiredFields: ['agreementForm', 'agreementStart', 'agreementEnd'],
+        evaluate: (data, ctx, step) => {
+            const { country, isEligible, form, period } = ctx.agreementCoverage;
+            const vars = { country: country ? country.nameFr : (data.nationality || data.country || 'non renseignée'), form };
+            step(`nationalité : ${vars.country}`);
+            if (!isEligible) return { status: STATUS.INCONSISTENT, outcome: 'noAgreement', vars };
+            if (!data.agreementForm) return { status: STATUS.MISSING, outcome: 'formMissing', vars };
+            if (!period) return { status: STATUS.MISSING, outcome: 'periodMissing', vars };
+            step(`formulaire valide du ${data.agreementStart} au ${data.agreementEnd}`);
+            return {
+                status: STATUS.OK,
+                outcome: 'valid',
+                vars: { ...vars, agreementPeriod: `du ${formatPeriodDate(parseISO(period.start))} au ${formatPeriodDate(parseISO(period.end))}` }
+            };
+        },
+        severity: SEVERITY.MAJOR,
+        legalRef: 'Art. 15 RIQ',
+        message: {
+            noAgreement: 'Aucune entente de sécurité sociale avec le Québec pour la nationalité {country} : une assurance privée est requise.',
+            formMissing: 'Entente {country}-Québec : joindre le {form} pour l\'inscription à la RAMQ.',
+            periodMissing: 'Indiquer la période de validité du {form}.',
+            valid: 'Couverture RAMQ par entente ({form}) {agreementPeriod}, comptée comme assurance.'
+        },
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+    {
+        id: 'INSURANCE_UNIVERSITY',
+        label: 'Assurances (Universitaire)',
+        appliesWhen: (data, ctx) => ctx.isUniversity,
+        severity: SEVERITY.MINOR,
+        legalRef: 'Art. 15 RIQ',
+        message: 'Réputées incluses.',
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+
+    // --- FINANCES ---
+    {
+        // Territory where finance is verified at the Federal level (IRCC) instead of MIFI
+        id: 'FINANCE_IRCC',
+        label: 'Capacité financière (IRCC)',
+        appliesWhen: (data, ctx) => !data.isConditional && ctx.isFederalFinanceTerritory,
+        severity: SEVERITY.MINOR,
+        legalRef: 'Lien MIFI-IRCC',
+        message: 'Pour ce territoire, le MIFI ne vérifie pas la capacité financière au stade du CAQ. Elle sera vérifiée par le Bureau canadien des visas (IRCC).',
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+    {
+        id: 'FINANCE',
+        label: 'Capacité financière',
+        requiredFields: ['payerType', 'supportForm', 'guarantorFinanceProof', 'guarantors', 'selfFinanceProof', 'bankStatements6Months', 'financeMode', 'financialProof', 'availableFunds'],
+        evaluate: (data, ctx, step) => {
+            if (data.isConditional) return { status: STATUS.OK, outcome: 'conditional' };
+            if (ctx.isFederalFinanceTerritory) {
+                step(`pays ${data.country || 'non renseigné'} : vérification fédérale`);
+                return { status: STATUS.OK, outcome: 'federal' };
+            }
+
+            // Payer-specific checks for MIFI territories
+            if (data.payerType === 'guarantor' && ctx.funds.guarantors) {
+                // Guarantors listed one by one: see FINANCE_GUARANTORS for the details
+                const incomplete = ctx.funds.guarantors.guarantors.filter(guarantor => guarantor.missingDocuments.length > 0);
+                step(`${ctx.funds.guarantors.guarantors.length} garant(s), ${incomplete.length} dossier(s) incomplet(s)`);
+                if (incomplete.length > 0) {
+                    return { status: STATUS.MISSING, outcome: 'guarantorsIncomplete' };
+                }
+            } else if (data.payerType === 'guarantor') {
+                step('garant');
+                step(`supportForm ${data.supportForm ? 'présent' : 'manquant'}`);
+                step(`guarantorFinanceProof ${data.guarantorFinanceProof ? 'présent' : 'manquant'}`);
+                if (!data.supportForm || !data.guarantorFinanceProof) {
+                    return { status: STATUS.MISSING, outcome: 'guarantorDocuments' };
+                }
+            } else {
+                step('candidat payeur');
+                step(`selfFinanceProof ${data.selfFinanceProof ? 'présent' : 'manquant'}`);
+                if (!data.selfFinanceProof) {
+                    return { status: STATUS.MISSING, outcome: 'selfProof' };
+                }
+                if (ctx.bankLedger) {
+                    step(`relevés saisis : couverture ${ctx.bankLedger.isCoverageComplete ? 'complète' : 'incomplète'}`);
+                    if (!ctx.bankLedger.isCoverageComplete) return { status: STATUS.MISSING, outcome: 'ledgerIncomplete' };
+                } else {
+                    step(`bankStatements6Months ${data.bankStatements6Months ? 'présent' : 'manquant'}`);
+                    if (!data.bankStatements6Months) return { status: STATUS.MISSING, outcome: 'bankStatements' };
+                }
+            }
+
+            // Apply mode-based checks once the primary documents are present
+            if (data.financeMode === 'manual') {
+                step(`vérification manuelle : financialProof ${data.financialProof ? 'présent' : 'manquant'}`);
+                return { status: data.financialProof ? STATUS.OK : STATUS.MISSING, outcome: 'manual' };
+            }
+            if (ctx.funds.unconverted.length > 0) {
+                return {
+                    status: STATUS.INCONSISTENT,
+                    outcome: 'missingRate',
+                    vars: { currencies: [...new Set(ctx.funds.unconverted.map(u => u.currency))].join(', ') }
+                };
+            }
+            const threshold = ctx.requiredFunds.total;
+            const isEnough = ctx.funds.totalCad >= threshold;
+            step(`fonds ${formatAmount(ctx.funds.totalCad)} ${isEnough ? '≥' : '<'} seuil ${formatAmount(threshold)}`);
+            return {
+                status: isEnough ? STATUS.OK : STATUS.INSUFFICIENT,
+                outcome: isEnough ? 'sufficient' : 'insufficient',
+                vars: {
+                    funds: describeFunds(ctx.funds),
+                    threshold: formatAmount(threshold),
+                    breakdown: formatBreakdown(ctx.requiredFunds)
+                }
+            };
+        },
+        severity: (data, ctx) => ctx.isAdult ? SEVERITY.MAJOR : SEVERITY.BLOCKING, // Plus critique pour les mineurs
+        legalRef: 'Art. 14 RIQ',
+        message: {
+            conditional: 'Dossier Conditionnel (Exemption financière)',
+            federal: 'Vérification au niveau Fédéral (IRCC) uniquement pour ce territoire.',
+            guarantorDocuments: 'Garant : Formulaire ou preuves financières manquants.',
+            guarantorsIncomplete: 'Garants : documents manquants, voir « Garants financiers ».',
+            selfProof: 'Candidat : Preuves financières récentes manquantes.',
+            bankStatements: 'Relevés bancaires des 6 derniers mois requis (doit montrer transactions, solde et propriété).',
+            missingRate: 'Taux de change introuvable pour : {currencies}. Compléter la table des taux.',
+            ledgerIncomplete: 'Relevés bancaires incomplets : voir « Relevés bancaires (6 mois consécutifs) ».',
+            sufficient: 'Fonds ({funds}) ≥ Seuil ({threshold}). {breakdown}',
+            insufficient: 'Fonds ({funds}) < Seuil ({threshold}). {breakdown}',
+            default: ''
+        },
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+
+    {
+        // The exempt rate only applies with an agreement of the country or an exemption scholarship
+        id: 'FINANCE_TUITION_EXEMPTION',
+        label: 'Exemption des droits de scolarité majorés',
+        appliesWhen: (data, ctx) => isFinanceReviewed(data, ctx) && Boolean(data.tuitionExemption),
+        requiredFields: ['tuitionExemptionProof'],
+        evaluate: (data, ctx, step) => {
+            if (ctx.country && ctx.country.tuitionExemption) {
+                step(`entente : ${ctx.country.tuitionExemption}`);
+                return { status: STATUS.OK, outcome: 'agreement', vars: { agreement: ctx.country.tuitionExemption } };
+            }
+            step(`tuitionExemptionProof ${data.tuitionExemptionProof ? 'présent' : 'manquant'}`);
+            return { status: data.tuitionExemptionProof ? STATUS.OK : STATUS.MISSING };
+        },
+        severity: SEVERITY.MAJOR,
+        legalRef: 'Art. 14 RIQ',
+        message: {
+            agreement: 'Exemption prévue par l\'{agreement}.',
+            [STATUS.MISSING]: 'Joindre la preuve d\'exemption (bourse d\'exemption MIFI ou attestation de l\'établissement) : sans elle, les droits majorés s\'appliquent.',
+            default: ''
+        },
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+    {
+        // Each guarantor supplies their own documents and keeps enough income for their household
+        id: 'FINANCE_GUARANTORS',
+        label: 'Garants financiers',
+        appliesWhen: (data, ctx) => isFinanceReviewed(data, ctx) && Boolean(ctx.funds.guarantors),
+        requiredFields: ['guarantors'],
+        evaluate: (data, ctx, step) => {
+            const { guarantors, committedTotal, countedTotal } = ctx.funds.guarantors;
+            guarantors.forEach(guarantor => step(
+                `${guarantor.label} : engagement ${formatAmount(guarantor.committedCad)}, revenus ${formatAmount(guarantor.incomeCad)} - besoins du foyer ${formatAmount(guarantor.householdNeeds)}`
+            ));
+            const incomplete = guarantors.filter(guarantor => guarantor.missingDocuments.length > 0);
+            if (incomplete.length > 0) {
+                return {
+                    status: STATUS.MISSING,
+                    outcome: 'documents',
+                    vars: { missing: incomplete.map(guarantor => `${guarantor.label} (${guarantor.missingDocuments.join(', ')})`).join(' ; ') }
+                };
+            }
+            const overCommitted = guarantors.filter(guarantor => !guarantor.isCapable);
+            if (overCommitted.length > 0) {
+                return {
+                    status: STATUS.INSUFFICIENT,
+                    outcome: 'capacity',
+                    vars: {
+                        overCommitted: overCommitted
+                            .map(guarantor => `${guarantor.label} s'engage pour ${formatAmount(guarantor.committedCad)} mais ne dispose que de ${formatAmount(guarantor.capacity)} après les besoins de son foyer (${formatAmount(guarantor.householdNeeds)})`)
+                            .join(' ; '),
+                        countedTotal: formatAmount(countedTotal)
+                    }
+                };
+            }
+            return { status: STATUS.OK, vars: { committedTotal: formatAmount(committedTotal), guarantorCount: guarantors.length } };
+        },
+        severity: SEVERITY.MAJOR,
+        legalRef: 'Art. 14 RIQ',
+        message: {
+            documents: 'Documents manquants : {missing}.',
+            capacity: '{overCommitted}. Engagements retenus : {countedTotal}.',
+            [STATUS.OK]: '{guarantorCount} garant(s), engagements couverts par leurs revenus : {committedTotal}.'
+        },
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+    {
+        // Only documented scholarships are counted in the funds
+        id: 'FINANCE_SCHOLARSHIPS',
+        label: 'Bourses d\'études',
+        appliesWhen: (data, ctx) => isFinanceReviewed(data, ctx) && (data.scholarships || []).length > 0,
+        requiredFields: ['scholarships'],
+        evaluate: (data, ctx, step) => {
+            const { totalCad, lines, undocumented } = ctx.funds.scholarships;
+            step(`${lines.length} bourse(s) comptée(s) : ${formatAmount(totalCad)}`);
+            if (undocumented.length > 0) {
+                return {
+                    status: STATUS.MISSING,
+                    outcome: 'undocumented',
+                    vars: { sponsors: undocumented.map((scholarship, index) => scholarship.sponsor || `Bourse ${index + 1}`).join(', ') }
+                };
+            }
+            return { status: STATUS.OK, vars: { scholarshipTotal: formatAmount(totalCad) } };
+        },
+        severity: SEVERITY.MINOR,
+        legalRef: 'Art. 14 RIQ',
+        message: {
+            undocumented: 'Lettre d\'attribution manquante pour : {sponsors}. Ces bourses ne sont pas comptées dans les fonds.',
+            [STATUS.OK]: 'Bourses documentées comptées dans les fonds : {scholarshipTotal}.'
+        },
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+
+    // --- RELEVÉS BANCAIRES (6 MOIS) ---
+    {
+        id: 'FINANCE_LEDGER_COVERAGE',
+        label: 'Relevés bancaires (6 mois consécutifs)',
+        appliesWhen: isLedgerReviewed,
+        requiredFields: ['bankAccounts'],
+        evaluate: (data, ctx) => {
+            const incomplete = ctx.bankLedger.coverage.filter(c => !c.isComplete);
+            return {
+                status: incomplete.length === 0 ? STATUS.OK : STATUS.MISSING,
+                vars: {
+                    details: incomplete.map(c => `${describeAccount(c.account)} : dernier relevé ${c.latestMonth || 'aucun'}${c.missingMonths.length > 0 ? `, mois manquants ${c.missingMonths.join(', ')}` : ''}`).join(' ; ')
+                }
+            };
+        },
+        severity: SEVERITY.MAJOR,
+        legalRef: 'Art. 14 RIQ',
+        message: {
+            [STATUS.OK]: 'Six mois consécutifs et récents couverts pour chaque compte.',
+            [STATUS.MISSING]: 'Les relevés doivent couvrir six mois consécutifs se terminant près de la date de dépôt. {details}.'
+        },
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+    {
+        id: 'FINANCE_LEDGER_PARKED_FUNDS',
+        label: 'Dépôts importants avant le dépôt (fonds « parqués »)',
+        appliesWhen: isLedgerReviewed,
+        requiredFields: ['bankAccounts'],
+        evaluate: (data, ctx) => {
+            const deposits = ctx.bankLedger.parkedDeposits;
+            return {
+                status: deposits.length === 0 ? STATUS.OK : STATUS.INCONSISTENT,
+                vars: {
+                    deposits: deposits.map(d => `${formatAmount(d.amount)} le ${d.date} sur ${describeAccount(d.account)} (${d.daysBeforeFiling} j avant le dépôt)`).join(' ; ')
+                }
+            };
+        },
+        severity: SEVERITY.MAJOR,
+        legalRef: 'Art. 14 RIQ',
+        message: {
+            [STATUS.OK]: '',
+            [STATUS.INCONSISTENT]: 'Dépôts importants non justifiés peu avant le dépôt : {deposits}. Fournir la provenance des fonds.'
+        },
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+    {
+        id: 'FINANCE_LEDGER_HOLDER',
+        label: 'Titulaire du compte vs payeur',
+        appliesWhen: (data, ctx) => isLedgerReviewed(data, ctx) && Boolean(data.payerName),
+        requiredFields: ['bankAccounts', 'payerName'],
+        evaluate: (data, ctx) => {
+            const mismatched = ctx.bankLedger.mismatchedHolders;
+            return {
+                status: mismatched.length === 0 ? STATUS.OK : STATUS.INCONSISTENT,
+                vars: { holders: mismatched.map(describeAccount).join(', ') }
+            };
+        },
+        severity: SEVERITY.MAJOR,
+        legalRef: 'Art. 14 RIQ',
+        message: {
+            [STATUS.OK]: '',
+            [STATUS.INCONSISTENT]: 'Compte(s) au nom d\'une autre personne que le payeur ({payerName}) : {holders}.'
+        },
+        effectiveFrom: null,
+        effectiveTo: null
+    },
+    {
+        id: 'FINANCE_LEDGER_AVERAGE_BALANCE',
+        label: 'Solde moyen sur 6 mois',
+        appliesWhen: isLedgerReviewed,
+        requiredFields: ['bankAccounts'],
+        evaluate: (data, ctx) => {
+            const vars = {
+                average: formatAmount(ctx.bankLedger.averageBalance),
+                threshold: formatAmount(ctx.bankLedger.threshold)
+            };
+            // Unreadable amounts count as 0: the average would be understated
+            const { issues } = ctx.bankLedger;
+            if (issues.length > 0) {
+                return {
+                    status: STATUS.INCONSISTENT,
+                    vars: { ...vars, issues: issues.map(issue => `« ${issue.value} » (${issue.row}, ${describeAccount(issue.account)})`).join(' ; ') }
+                };
+            }
+            return { status: ctx.bankLedger.isAverageSufficient ? STATUS.OK : STATUS.INSUFFICIENT, vars };
+        },
+        severity: SEVERITY.MAJOR,
+        legalRef: 'Art. 14 RIQ',
+        message: {
+            [STATUS.INCONSISTENT]: 'Montants illisibles comptés à 0 : {issues}. Corriger les relevés (solde moyen calculé : {average}).',
+            [STATUS.OK]: 'Solde moyen {average} ≥ seuil {threshold}.',
+            [STATUS.INSUFFICIENT]: 'Solde moyen {average} < seuil {threshold}.'
+        },
+        effectiveFrom: null,
+        effectiveTo: null
+    }
+];
@@ -1,376 +1,230 @@
-import { STATUS, SEVERITY, RECOMMENDATION, FINANCIAL_THRESHOLDS, APPLICATION_TYPE, STUDY_LEVEL, FINANCE_MIFI_COUNTRIES } from './constants.js';
-import { differenceInMonths, isBefore, addMonths, subMonths, differenceInYears } from 'date-fns';
-
-export function analyzeDossier(data) {
-    const controls = [];
-    const isMinorCategory = data.category && data.category.startsWith('MIN');
+import { STATUS, SEVERITY, RECOMMENDATION, APPLICATION_TYPE, STUDY_LEVEL } from './constants.js';
+import { differenceInMonths, differenceInYears, addMonths, isAfter } from 'date-fns';
+import { RULE_CATALOGUE } from './ruleCatalogue.js';
+import { evaluateRules } from './ruleEvaluator.js';
+import { computeRequiredFunds } from './financialThresholds.js';
+import { analyzeBankLedger } from './bankLedger.js';
+import { convertFundSources, DEFAULT_EXCHANGE_RATES } from './exchangeRates.js';
+import { analyzeInsuranceCoverage, INSURANCE_SETTINGS } from './insuranceCoverage.js';
+import { computeCaqValidity } from './caqValidity.js';
+import { evaluateExemptions } from './caqExemptions.js';
+import { DEFAULT_DLI_REGISTRY } from './dliRegistry.js';
+import { analyzeAdmissionLetter, ADMISSION_LETTER_SETTINGS } from './admissionLetter.js';
+import { analyzeAcademicProgress } from './academicProgress.js';
+import { scoreDossier, DOSSIER_SCORING } from './dossierScore.js';
+import { validateDossier } from './dossierValidation.js';
+import { analyzeParents, analyzeCustodian } from './minorGuardianship.js';
+import { analyzeAgeTransitions, ADULT_RULES_AGE } from './ageTransitions.js';
+import { findCountry, FINANCE_VERIFIER } from './countryRegistry.js';
+import { analyzeAgreementCoverage } from './socialSecurityAgreements.js';
+import { computeTuitionCost, computeScholarshipFunds } from './tuitionFees.js';
+import { analyzeGuarantors } from './guarantors.js';
+import { analyzeDocumentDates } from './documentRecency.js';
+import { toDate } from './parsing.js';
+
+// Facts derived once from the form data and shared by every rule of the catalogue
+function buildContext(data, asOf) {
+    const isMinorCategory = Boolean(data.category && data.category.startsWith('MIN'));
     // Official Quebec rule: minors are 16 and under, 17+ follow major rules
-    const age = data.dob ? differenceInYears(new Date(), new Date(data.dob)) : null;
-    const isAdult = isMinorCategory ? false : (age !== null ? age >= 17 : true);
-    const isRenewal = data.applicationType === APPLICATION_TYPE.RENEWAL;
-    const isUniversity = data.studyLevel === STUDY_LEVEL.UNIVERSITY;
-    const isPrimary = data.studyLevel === STUDY_LEVEL.PRIMAIRE;
-
-    // Country-based finance rule
-    const isMifiFinanceCountry = data.country && FINANCE_MIFI_COUNTRIES.some(c =>
-        c.toLowerCase() === data.country.trim().toLowerCase()
-    );
-
-    // --- PIÈCES JUSTIFICATIVES ---
-
-    // Primary Exemption info
-    if (isPrimary) {
-        controls.push({
-            label: 'Exemption CAQ (Niveau Primaire)',
-            status: STATUS.OK,
-            severity: SEVERITY.MINOR,
-            legalRef: 'Art. 3 RIQ',
-            note: 'Note : Un enfant mineur qui est déjà au Québec et dont un parent est travailleur temporaire ou étudiant étranger n\'a pas besoin de CAQ pour le primaire/secondaire.'
-        });
-    }
-
-    // Passport check
-    let passportStatus = STATUS.OK;
-    let passportNote = '';
-    if (data.passportStatus === 'absent') {
-        passportStatus = STATUS.MISSING;
-        passportNote = 'Passeport absent.';
-    } else if (data.passportStatus === 'expired') {
-        passportStatus = STATUS.EXPIRED;
-        passportNote = 'Le passeport est expiré.';
-    } else if (isAdult && !data.passportSigned) {
-        passportStatus = STATUS.INCONSISTENT;
-        passportNote = 'Passeport non signé : fournir une autre pièce d\'identité officielle avec photo et signature.';
-    }
-
-    controls.push({
-        label: 'Passeport et signature conformes',
-        status: passportStatus,
-        severity: SEVERITY.BLOCKING,
-        legalRef: 'Art. 13 RIQ',
-        note: passportNote
-    });
-
-    // Forms
-    controls.push({
-        label: 'Formulaires déclaration et engagement',
-        status: data.formDeclaration ? STATUS.OK : STATUS.MISSING,
-        severity: SEVERITY.BLOCKING,
-        legalRef: 'Art. 13 RIQ'
-    });
-
-    // Dynamic Admission / Attestation Requirement
+    // Form dates are local dates: `new Date('yyyy-MM-dd')` would read them as UTC midnight
+    const reference = toDate(asOf) || new Date();
+    const dob = toDate(data.dob);
+    const age = dob ? differenceInYears(reference, dob) : null;
+    const isAdult = isMinorCategory ? false : (age !== null ? age >= ADULT_RULES_AGE : true);
+    const minorAge = isAdult ? null : age;
+    const isEmancipated = data.minorSituation === 'emancipated' || minorAge === ADULT_RULES_AGE;
+
+    // Country-based finance rule: the registry resolves ISO codes, English names and aliases
+    const country = findCountry(data.country);
+    const isMifiFinanceCountry = Boolean(country) && country.financeVerifiedBy === FINANCE_VERIFIER.MIFI;
+
+    const programStart = toDate(data.startDate);
+    const programEnd = toDate(data.endDate);
+    const programDuration = programStart && programEnd ? differenceInMonths(programEnd, programStart) : 0;
+    // Programs of six months or less do not require a CAQ
+    const isShortProgram = Boolean(programStart && programEnd) && !isAfter(programEnd, addMonths(programStart, 6));
     const isFirstApplication = data.applicationType === APPLICATION_TYPE.FIRST;
-    const isNewProgram = data.isNewProgram === true; // Strict check
 
-    const admissionLabel = (isFirstApplication || isNewProgram)
-        ? "Lettre d'admission (Nouveau programme)"
-        : "Attestation de fréquentation (Programme actuel)";
+    // Accompanying family members raise the required funds and bring their own documents
+    const accompanyingMembers = (data.familyMembers || []).filter(m => m.accompanying);
+    const accompanyingSpouses = accompanyingMembers.filter(m => m.relationship === 'spouse').length;
+    const accompanyingChildren = accompanyingMembers.filter(m => m.relationship === 'child').length;
 
-    const admissionNote = (isFirstApplication || isNewProgram)
-        ? "Obligatoire : Vous débutez un nouveau programme ou il s'agit d'une première demande. Une lettre d'admission complète est requise."
-        : "Obligatoire : Vous poursuivez votre programme actuel. Une attestation de fréquentation récente est requise.";
-
-    controls.push({
-        label: admissionLabel,
-        status: data.admissionLetter ? STATUS.OK : (isPrimary || isMinorCategory ? STATUS.OK : STATUS.MISSING),
-        severity: SEVERITY.BLOCKING,
-        legalRef: 'Art. 13 RIQ',
-        note: (isPrimary || isMinorCategory)
-            ? 'Note : Pas requise pour les moins de 16 ans au primaire/secondaire si un parent a un statut. Sinon, à fournir.'
-            : admissionNote
+    // Net first-year tuition is required on top of the living costs
+    const tuition = computeTuitionCost(data);
+    const requiredFunds = computeRequiredFunds({
+        programMonths: programDuration,
+        isAdult,
+        spouses: accompanyingSpouses,
+        children: accompanyingChildren,
+        isFirstApplication,
+        applicationDate: asOf,
+        tuition: tuition ? tuition.net : 0
     });
 
-    // Renewal specific documents & Continuity
-    if (isRenewal) {
-        const transcriptsStatus = data.transcripts ? STATUS.OK : (data.explanationsStudy ? STATUS.INCONSISTENT : STATUS.MISSING);
-        controls.push({
-            label: 'Relevé de notes officiel',
-            status: transcriptsStatus,
-            severity: SEVERITY.MAJOR,
-            legalRef: 'Art. 11 RIQ',
-            note: transcriptsStatus === STATUS.INCONSISTENT ? 'Lettre explicative fournie.' : ''
-        });
-
-        if (data.explanationsStudy) {
-            controls.push({
-                label: 'Justification temps plein / Documents officiels',
-                status: data.fullTimeJustification ? STATUS.OK : STATUS.MISSING,
-                severity: SEVERITY.MINOR,
-                legalRef: 'Art. 11 RIQ',
-                note: 'Sceau, signature registraire, timbres passeport ou certificat médical requis.'
-            });
-        }
-
-        // Continuity check: Previous CAQ vs Previous Study
-        if (data.prevCAQStart && data.prevCAQEnd && data.prevStudyStart && (data.prevStudyEnd || data.prevStudyInProgress)) {
-            const caqS = new Date(data.prevCAQStart);
-            const caqE = new Date(data.prevCAQEnd);
-            const studyS = new Date(data.prevStudyStart);
-            // If in progress, we consider "now" or "future" as the end for continuity check
-            // However, the rule is: Does the CAQ cover the study period?
-            // If studies are in progress, the CAQ must still be valid OR the study period start-to-now must be covered.
-            const studyE = data.prevStudyInProgress ? new Date() : new Date(data.prevStudyEnd);
-
-            // Check overlap or coverage. 
-            // Simplified: The Study Period (Start to End/Now) must be somewhat within CAQ validity
-            // or CAQ must cover the start.
-
-            const isCovered = (caqS <= studyS) && (caqE >= studyE);
-
-            controls.push({
-                label: 'Continuité CAQ / Études précédentes',
-                status: isCovered ? STATUS.OK : STATUS.MISSING,
-                severity: SEVERITY.MAJOR,
-                legalRef: 'Art. 11 RIQ',
-                note: !isCovered
-                    ? `La période du CAQ précédent (${data.prevCAQStart} au ${data.prevCAQEnd}) ne couvre pas entièrement la période d'études déclarée.`
-                    : 'Continuité vérifiée.'
-            });
-        }
-
-        if (data.entryDate && data.startDate) {
-            const entryD = new Date(data.entryDate);
-            const studyS = new Date(data.startDate);
-            const entryValid = entryD <= studyS;
-
-            controls.push({
-                label: "Date d'entrée vs Début Études",
-                status: entryValid ? STATUS.OK : STATUS.INCONSISTENT,
-                severity: SEVERITY.MINOR,
-                legalRef: 'Art. 11 RIQ',
-                note: !entryValid ? "La date d'entrée déclarée est postérieure au début des cours." : ""
-            });
-        }
-
-        if (data.isNewProgram) {
-            controls.push({
-                label: 'Profil : Nouveau Programme',
-                status: STATUS.OK,
-                severity: SEVERITY.MINOR,
-                note: 'Le candidat entame un nouveau programme.'
-            });
-        }
-    }
-
-    // --- DOCUMENTS POUR MINEUR ---
-    // Determine minor age category and situation
-    const minorAge = isAdult ? null : (data.dob ? differenceInYears(new Date(), new Date(data.dob)) : null);
-    const isEmancipated = data.minorSituation === 'emancipated' || minorAge === 17;
-
-    if (!isAdult && !isEmancipated) {
-        // Common requirements for all minor situations (A, B, C)
-        controls.push({
-            label: 'Certificat de naissance (Noms parents requis)',
-            status: data.birthCertificate ? STATUS.OK : STATUS.MISSING,
-            severity: SEVERITY.BLOCKING,
-            legalRef: 'Art. 13 RIQ'
-        });
-        controls.push({
-            label: 'Identité des deux parents (Passeport/CNI)',
-            status: data.parentsIdentity ? STATUS.OK : STATUS.MISSING,
-            severity: SEVERITY.BLOCKING,
-            legalRef: 'Art. 13 RIQ'
-        });
-
-        // Situation A: Accompanied by both parents
-        if (data.minorSituation === 'both_parents') {
-            controls.push({
-                label: 'Durée du séjour des parents (Permis/Admission)',
-                status: data.accompanyingParentsStatus ? STATUS.OK : STATUS.MISSING,
-                severity: SEVERITY.MAJOR,
-                legalRef: 'Art. 13 RIQ',
-                note: 'Établit la validité du CAQ de l\'enfant. Situation A: Les deux parents accompagnent.'
-            });
-        }
-
-        // Situation B: Accompanied by one parent
-        if (data.minorSituation === 'one_parent') {
-            controls.push({
-                label: 'Identité du parent non-accompagnant',
-                status: data.nonAccompanyingParentIdentity ? STATUS.OK : STATUS.MISSING,
-                severity: SEVERITY.BLOCKING,
-                legalRef: 'Art. 13 RIQ'
-            });
-            // According to Quebec.ca: Consent OR Proof of Sole Custody
-            const hasConsent = data.consentDeclaration || data.soleCustodyProof;
-            controls.push({
-                label: 'Consentement OU Preuve de garde exclusive',
-                status: hasConsent ? STATUS.OK : STATUS.MISSING,
-                severity: SEVERITY.BLOCKING,
-                legalRef: 'Art. 13 RIQ',
-                note: data.soleCustodyProof ? 'Justifié par preuve de garde exclusive.' : 'Situation B : Consentement requis si pas de garde exclusive.'
-            });
-        }
-
-        // Reminder for all signatures
-        controls.push({
-            label: 'Formulaires signés (Manuscrit/Numérisé)',
-            status: (data.formDeclaration && data.admissionLetter) ? STATUS.OK : STATUS.MISSING,
-            severity: SEVERITY.MINOR,
-            legalRef: 'GPI 3.5',
-            note: 'Les signatures dactylographiées ne sont pas acceptées. Signature manuscrite (stylet/souris) ou numérisée requise.'
-        });
-
-
-        // Situation C: Unaccompanied
-        if (data.minorSituation === 'unaccompanied') {
-            controls.push({
-                label: 'Délégation autorité parentale (Chaque parent)',
-                status: data.parentalAuthorityDelegation ? STATUS.OK : STATUS.MISSING,
-                severity: SEVERITY.BLOCKING,
-                legalRef: 'Art. 13 RIQ',
-                note: 'Situation C: Enfant non accompagné. Délégation formelle de chaque parent requise.'
-            });
-            controls.push({
-                label: 'Prise en charge par un adulte au Québec',
-                status: data.custodyDeclaration ? STATUS.OK : STATUS.MISSING,
-                severity: SEVERITY.BLOCKING,
-                legalRef: 'Art. 14 RIQ'
-            });
-            controls.push({
-                label: 'Statut du responsable (Citoyen/RP)',
-                status: data.citizenshipProof ? STATUS.OK : STATUS.MISSING,
-                severity: SEVERITY.MAJOR,
-                legalRef: 'Art. 14 RIQ'
-            });
-            controls.push({
-                label: 'Identité du responsable au Québec',
-                status: data.responsibleAdultIdentity ? STATUS.OK : STATUS.MISSING,
-                severity: SEVERITY.BLOCKING,
-                legalRef: 'Art. 14 RIQ'
-            });
-            controls.push({
-                label: 'Preuve de résidence de l\'adulte responsable',
-                status: data.residenceProof ? STATUS.OK : STATUS.MISSING,
-                severity: SEVERITY.MAJOR,
-                legalRef: 'Art. 14 RIQ'
-            });
-            controls.push({
-                label: 'Absence antécédents judiciaires (Tous adultes résidence)',
-                status: data.criminalRecordCheck ? STATUS.OK : STATUS.MISSING,
-                severity: SEVERITY.BLOCKING,
-                legalRef: 'Art. 14 RIQ',
-                note: 'Rapport de police requis pour chaque adulte du foyer.'
-            });
-        }
-    }
-
-    // Situation D: emancipated (handled in App.jsx but reinforced here)
-    if (data.minorSituation === 'emancipated') {
-        controls.push({
-            label: "Jugement d'émancipation (si applicable)",
-            status: data.emancipationJudgment ? STATUS.OK : STATUS.MISSING,
-            severity: SEVERITY.BLOCKING,
-            legalRef: 'Art. 13 RIQ',
-            note: 'Requis pour les mineurs émancipés de 16 ans et moins.'
-        });
-    }
-
-    // --- PROGRAMME & TIMELINE ---
-    const programDuration = data.startDate && data.endDate ?
-        differenceInMonths(new Date(data.endDate), new Date(data.startDate)) : 0;
-    const programStatus = programDuration < 6 ? STATUS.INCONSISTENT : STATUS.OK;
+    // Funds declared per source and currency are converted to CAD on the chosen date
+    const conversion = {
+        table: data.exchangeRates && data.exchangeRates.length > 0 ? data.exchangeRates : DEFAULT_EXCHANGE_RATES,
+        conversionDate: data.exchangeRateDate || asOf
+    };
+    // Each guarantor's commitment counts within what their income leaves after their own household
+    const guarantors = data.payerType === 'guarantor' ? analyzeGuarantors(data.guarantors, { ...conversion, asOf }) : null;
+    // Listed guarantors replace the declared funds, which would otherwise hold the same money twice
+    const declaredFunds = !guarantors && data.fundSources && data.fundSources.length > 0
+        ? { ...convertFundSources(data.fundSources, conversion), fromSources: true }
+        : { totalCad: guarantors ? 0 : Number(data.availableFunds) || 0, lines: [], unconverted: [], fromSources: false };
+    // Documented scholarships count as funds
+    const scholarships = computeScholarshipFunds(data.scholarships, conversion);
+    const funds = {
+        ...declaredFunds,
+        totalCad: declaredFunds.totalCad + scholarships.totalCad + (guarantors ? guarantors.countedTotal : 0),
+        unconverted: [...declaredFunds.unconverted, ...scholarships.unconverted, ...(guarantors ? guarantors.unconverted : [])],
+        scholarships,
+        guarantors
+    };
 
-    controls.push({
-        label: 'Durée du programme (> 6 mois)',
-        status: programStatus,
-        severity: SEVERITY.BLOCKING,
-        legalRef: 'Art. 11 RIQ',
-        note: programDuration < 6 ? 'Le programme doit durer plus de 6 mois.' : ''
+    // The study permit cannot outlast the passport
+    const passportExpiry = data.passportStatus !== 'absent' ? toDate(data.passportExpiry) : null;
+
+    // Parents and custodian of a minor, when entered in detail
+    const requiresMinorDocuments = !isAdult && !isEmancipated;
+    const parents = requiresMinorDocuments ? analyzeParents(data.parents) : null;
+    const custodian = requiresMinorDocuments && data.minorSituation === 'unaccompanied'
+        ? analyzeCustodian(data.custodian, data.householdAdults, { asOf })
+        : null;
+
+    // Expected CAQ validity; minors in situation A or B are limited to their parents' status
+    // (the earliest permit of the accompanying parents, or the single date entered otherwise)
+    const isAccompaniedMinor = requiresMinorDocuments && ['both_parents', 'one_parent'].includes(data.minorSituation);
+    const parentPermitEnd = parents && parents.accompanying.length > 0 ? parents.permitEnd : data.parentPermitExpiry;
+    const caqValidity = computeCaqValidity({
+        programStart: data.startDate,
+        programEnd: data.endDate,
+        parentPermitEnd: isAccompaniedMinor ? parentPermitEnd : null,
+        passportExpiry
+    });
+    const { start: caqStart, end: caqEnd } = caqValidity;
+
+    // A minor may cross 17 or 18 during the program or the CAQ: requirements change on those dates
+    const ageTransitions = !isAdult
+        ? analyzeAgeTransitions(data.dob, {
+            programStart: data.startDate,
+            programEnd: data.endDate,
+            caqStart,
+            caqEnd,
+            minorSituation: data.minorSituation,
+            asOf
+        })
+        : null;
+
+    // Health insurance must cover the previous CAQ (or stay) up to today, and the projected CAQ
+    const stayStart = toDate(data.prevCAQStart || data.entryDate || data.prevStudyStart);
+    const entryDate = toDate(data.entryDate);
+    const pastWindowStart = entryDate && stayStart && isAfter(entryDate, stayStart) ? entryDate : stayStart;
+    const stayEnd = data.prevCAQEnd ? toDate(data.prevCAQEnd) : (data.prevStudyInProgress ? reference : toDate(data.prevStudyEnd));
+    const pastWindowEnd = stayEnd && isAfter(stayEnd, reference) ? reference : stayEnd;
+    const insuranceOptions = {
+        toleranceDays: data.insuranceToleranceDays !== undefined && data.insuranceToleranceDays !== ''
+            ? Number(data.insuranceToleranceDays) : INSURANCE_SETTINGS.toleranceDays
+    };
+    // RAMQ coverage under a social security agreement counts as insurance for its period
+    const agreementCoverage = analyzeAgreementCoverage(data);
+    const pastCoverage = analyzeInsuranceCoverage([...(data.pastInsurances || []), ...agreementCoverage.periods], { start: pastWindowStart, end: pastWindowEnd }, insuranceOptions);
+    const futureCoverage = analyzeInsuranceCoverage([...(data.futureInsurances || []), ...agreementCoverage.periods], { start: caqStart, end: caqEnd }, insuranceOptions);
+
+    // Six-month bank statements, when the accounts have been entered or imported
+    // (scholarships are not held on the accounts: the balances only need to cover the rest)
+    const bankLedger = data.bankAccounts && data.bankAccounts.length > 0
+        ? analyzeBankLedger(data.bankAccounts, { referenceDate: asOf, payerName: data.payerName, threshold: Math.max(0, requiredFunds.total - scholarships.totalCad) })
+        : null;
+
+    // Details of the admission letter, checked against the registry of designated institutions
+    const admission = analyzeAdmissionLetter(data, {
+        registry: data.dliRegistry && data.dliRegistry.length > 0 ? data.dliRegistry : DEFAULT_DLI_REGISTRY,
+        asOf,
+        maxAgeMonths: data.admissionLetterMaxAgeMonths !== undefined && data.admissionLetterMaxAgeMonths !== ''
+            ? Number(data.admissionLetterMaxAgeMonths) : ADMISSION_LETTER_SETTINGS.maxAgeMonths
     });
 
-    // --- ASSURANCES ---
-    if (!isUniversity) {
-        if (isRenewal) {
-            const hasPast = data.pastInsurances && data.pastInsurances.length > 0;
-            // Basic coverage check: sum of months should roughly match study duration
-            // This is a simplified check for the demonstration
-            controls.push({
-                label: 'Assurances passées (Maintien de couverture)',
-                status: hasPast ? STATUS.OK : STATUS.MISSING,
-                severity: SEVERITY.MAJOR,
-                legalRef: 'Art. 15 RIQ',
-                note: !hasPast ? 'Requis pour Renouvellement : Prouver le maintien de l\'assurance pour toute la durée du séjour précédent.' : 'Périodes déclarées.'
-            });
-        }
-
-        const hasFuture = data.futureInsurances && data.futureInsurances.length > 0;
-        controls.push({
-            label: 'Assurances futures',
-            status: hasFuture ? STATUS.OK : STATUS.MISSING,
-            severity: SEVERITY.MAJOR,
-            legalRef: 'Art. 15 RIQ',
-            note: !hasFuture ? 'Requis pour Collégial/Professionnel.' : ''
-        });
-    } else {
-        controls.push({
-            label: 'Assurances (Universitaire)',
-            status: STATUS.OK,
-            severity: SEVERITY.MINOR,
-            legalRef: 'Art. 15 RIQ',
-            note: 'Réputées incluses.'
-        });
-    }
+    // Issue and expiry dates of the supplied documents, against the recency table
+    const documentDates = analyzeDocumentDates(data, { asOf, isContinuingProgram: !isFirstApplication && data.isNewProgram !== true });
 
-    // --- FINANCES ---
-    let financeStatus = STATUS.OK;
-    let financeNote = '';
+    // Term-by-term results entered for a renewal
+    const isRenewal = data.applicationType === APPLICATION_TYPE.RENEWAL;
+    const academicProgress = isRenewal
+        ? analyzeAcademicProgress(data.academicTerms, { studyLevel: data.studyLevel, endDate: data.endDate, programCredits: data.programCredits, asOf })
+        : null;
 
-    if (data.isConditional) {
-        financeStatus = STATUS.OK;
-        financeNote = 'Dossier Conditionnel (Exemption financière)';
-    } else if (!isMifiFinanceCountry && data.country !== 'Autre territoire') {
-        // Territory where finance is verified at the Federal level (IRCC) instead of MIFI
-        financeStatus = STATUS.OK;
-        financeNote = 'Vérification au niveau Fédéral (IRCC) uniquement pour ce territoire.';
+    const ctx = {
+        asOf,
+        age,
+        isAdult,
+        isMinorCategory,
+        isEmancipated,
+        requiresMinorDocuments,
+        isRenewal,
+        isFirstApplication,
+        isNewProgram: data.isNewProgram === true, // Strict check
+        isUniversity: data.studyLevel === STUDY_LEVEL.UNIVERSITY,
+        isPrimary: data.studyLevel === STUDY_LEVEL.PRIMAIRE,
+        country,
+        isMifiFinanceCountry,
+        isFederalFinanceTerritory: Boolean(country) && country.financeVerifiedBy === FINANCE_VERIFIER.IRCC,
+        programDuration,
+        isShortProgram,
+        accompanyingMembers,
+        tuition,
+        requiredFunds,
+        funds,
+        caqStart,
+        caqEnd,
+        caqValidity,
+        passportExpiry,
+        agreementCoverage,
+        pastCoverage,
+        futureCoverage,
+        bankLedger,
+        admission,
+        academicProgress,
+        documentDates,
+        parents,
+        custodian,
+        ageTransitions
+    };
 
-        controls.push({
-            label: 'Capacité financière (IRCC)',
-            status: STATUS.OK,
-            severity: SEVERITY.MINOR,
-            legalRef: 'Lien MIFI-IRCC',
-            note: 'Pour ce territoire, le MIFI ne vérifie pas la capacité financière au stade du CAQ. Elle sera vérifiée par le Bureau canadien des visas (IRCC).'
-        });
-    } else {
-        // Payer-specific checks for MIFI territories
-        if (data.payerType === 'guarantor') {
-            if (!data.supportForm || !data.guarantorFinanceProof) {
-                financeStatus = STATUS.MISSING;
-                financeNote = 'Garant : Formulaire ou preuves financières manquants.';
-            }
-        } else {
-            // Self-payer
-            if (!data.selfFinanceProof) {
-                financeStatus = STATUS.MISSING;
-                financeNote = 'Candidat : Preuves financières récentes manquantes.';
-            } else if (!data.bankStatements6Months) {
-                financeStatus = STATUS.MISSING;
-                financeNote = 'Relevés bancaires des 6 derniers mois requis (doit montrer transactions, solde et propriété).';
-            }
-        }
+    // Whether a CAQ is needed at all is decided on the facts above
+    return { ...ctx, exemptions: evaluateExemptions(data, ctx) };
+}
 
-        // Apply mode-based checks if primary documents are present
-        if (financeStatus === STATUS.OK) {
-            if (data.financeMode === 'manual') {
-                financeStatus = data.financialProof ? STATUS.OK : STATUS.MISSING;
-            } else {
-                // Calculate mode
-                const threshold = FINANCIAL_THRESHOLDS[data.studyLevel] || FINANCIAL_THRESHOLDS.UNIVERSITY;
-                const isEnough = data.availableFunds >= threshold;
-                financeStatus = isEnough ? STATUS.OK : STATUS.INSUFFICIENT;
-                financeNote = !isEnough ? `Fonds (${data.availableFunds}$) < Seuil (${threshold}$)` : '';
-            }
-        }
-    }
+// Passport status read from the form when the PASSPORT rule did not run (CAQ exemption):
+// only a passport marked valid and not expired at the reference date counts as valid
+const readPassportStatus = (data, ctx) => {
+    if (data.passportStatus === 'expired') return STATUS.EXPIRED;
+    if (data.passportStatus !== 'valid') return STATUS.MISSING;
+    return ctx.passportExpiry && isAfter(toDate(ctx.asOf) || new Date(), ctx.passportExpiry) ? STATUS.EXPIRED : STATUS.OK;
+};
+
+/**
+ * Reference date of the analysis: the date chosen by the advisor, otherwise the
+ * submission date of the dossier, otherwise today. Ages, deadlines and document
+ * recency are all computed relative to it so a re-opened dossier keeps its result.
+ */
+export function resolveReferenceDate(data) {
+    return toDate(data && (data.referenceDate || data.submissionDate)) || new Date();
+}
 
-    controls.push({
-        label: 'Capacité financière',
-        status: financeStatus,
-        severity: isAdult ? SEVERITY.MAJOR : SEVERITY.BLOCKING, // Plus critique pour les mineurs
-        legalRef: 'Art. 14 RIQ',
-        note: financeNote
-    });
+/**
+ * Evaluates a dossier against the rule catalogue in force at `asOf`
+ * (defaults to the reference date of the dossier). `rules` can replace the catalogue, e.g. in tests,
+ * and `scoring` the model of the numeric score (see dossierScore.js).
+ */
+export function analyzeDossier(data, { asOf = resolveReferenceDate(data), rules = RULE_CATALOGUE, scoring = DOSSIER_SCORING } = {}) {
+    const ctx = buildContext(data, asOf);
+    const activeRules = ctx.exemptions.isCaqRequired ? rules : rules.filter(rule => rule.appliesWhenExempt);
+    const results = evaluateRules(activeRules, data, ctx, asOf);
+    const controls = results.map(r => r.control);
+    const passportResult = results.find(r => r.id === 'PASSPORT');
+    const passportStatus = passportResult ? passportResult.control.status : readPassportStatus(data, ctx);
 
     // --- RECOMMANDATION ---
     let recommendation = RECOMMENDATION.ACCEPTABLE;
@@ -383,23 +237,45 @@ export function analyzeDossier(data) {
         recommendation = RECOMMENDATION.COMPLETE;
     }
 
-    // --- TIMELINE ---
-    const caqStart = data.startDate ? subMonths(new Date(data.startDate), 1) : null;
-    const caqEnd = data.endDate ? addMonths(new Date(data.endDate), 3) : null;
+    // Incoherent input would make the controls misleading: withhold the verdict until it is corrected
+    const validation = validateDossier(data, { asOf });
+    if (validation.hasBlockingErrors) {
+        recommendation = RECOMMENDATION.INVALID_INPUT;
+    }
+
+    const { score, deductions } = validation.hasBlockingErrors ? { score: null, deductions: [] } : scoreDossier(controls, scoring);
 
     return {
         controls,
         recommendation,
-        caqStart,
-        caqEnd,
-        isAdult,
-        isUniversity,
+        score,
+        scoreDeductions: deductions,
+        validation,
+        caqStart: ctx.caqStart,
+        caqEnd: ctx.caqEnd,
+        caqValidity: ctx.caqValidity,
+        passportExpiry: ctx.passportExpiry,
+        isAdult: ctx.isAdult,
+        isUniversity: ctx.isUniversity,
         category: data.category, // Pass through category
+        asOf,
+        exemptions: ctx.exemptions,
+        tuition: ctx.tuition,
+        requiredFunds: ctx.requiredFunds,
+        funds: ctx.funds,
+        insuranceCoverage: { past: ctx.pastCoverage, future: ctx.futureCoverage, agreement: ctx.agreementCoverage },
+        bankLedger: ctx.bankLedger,
+        admission: ctx.admission,
+        academicProgress: ctx.academicProgress,
+        documentDates: ctx.documentDates,
+        ageTransitions: ctx.ageTransitions,
+        appliedRules: results.map(r => r.id),
         summary: {
             blockingCount: blocking.length,
             majorCount: major.length,
             totalControls: controls.length,
-            profile: isAdult ? 'Adulte / Majeur' : 'Candidat Mineur',
+            caqRequired: ctx.exemptions.isCaqRequired,
+            profile: ctx.isAdult ? 'Adulte / Majeur' : 'Candidat Mineur',
             level: data.studyLevel,
             type: data.applicationType === APPLICATION_TYPE.FIRST ? 'Première demande' : 'Renouvellement',
             passport: passportStatus === STATUS.OK ? 'Valide' :
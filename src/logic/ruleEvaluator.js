@@ -0,0 +1,130 @@
+import { isBefore, isAfter } from 'date-fns';
+import { STATUS } from './constants.js';
+import { toDate } from './parsing.js';
+
+/**
+ * Minimal evaluator for the declarative rule catalogue (see ruleCatalogue.js).
+ *
+ * A rule is a plain object:
+ * - id              Stable identifier of the rule.
+ * - label           Checklist label.
+ * - appliesWhen     (data, ctx) => boolean. Omitted = always applicable.
+ * - requiredFields  Form fields that must be provided (booleans ticked, lists non-empty).
+ * - requirement     'all' (default) or 'any' of the required fields.
+ * - waivedWhen      (data, ctx) => boolean. When true the rule passes with the 'waived' message.
+ * - evaluate        (data, ctx, step) => { status, outcome?, vars? }. Overrides the required-fields check.
+ *                   `step(text)` appends a line to the decision trace of the control.
+ * - severity        SEVERITY value or (data, ctx) => SEVERITY value.
+ * - legalRef        Legal reference shown with the control.
+ * - message         Template string, or map keyed by outcome / status / 'waived' / 'default'.
+ *                   Placeholders {name} are read from the rule vars, the context then the data.
+ * - effectiveFrom   ISO date from which the rule is in force (null = no lower bound).
+ * - effectiveTo     ISO date after which the rule no longer applies (null = still in force).
+ *
+ * Every control carries its rule `id`, the form fields the rule read (`inputs`),
+ * the derived facts it used (`facts`) and the branch it took (`trace`).
+ */
+
+export const isProvided = (value) => {
+    if (Array.isArray(value)) return value.length > 0;
+    return Boolean(value);
+};
+
+export function isRuleInForce(rule, asOf) {
+    const reference = toDate(asOf) || new Date();
+    const from = toDate(rule.effectiveFrom);
+    const to = toDate(rule.effectiveTo);
+    if (from && isBefore(reference, from)) return false;
+    if (to && isAfter(reference, to)) return false;
+    return true;
+}
+
+export function interpolate(template, scope) {
+    if (!template) return '';
+    return template.replace(/\{(\w+)\}/g, (match, key) => {
+        const value = scope[key];
+        return value === undefined || value === null ? match : String(value);
+    });
+}
+
+const resolve = (value, data, ctx) => (typeof value === 'function' ? value(data, ctx) : value);
+
+// Records the keys read through the proxy, in reading order, with their values
+const trackReads = (target, reads) => new Proxy(target, {
+    get(object, key, receiver) {
+        if (typeof key === 'string' && !reads.has(key)) reads.set(key, object[key]);
+        return Reflect.get(object, key, receiver);
+    }
+});
+
+// Only scalar facts are worth showing; lists and nested analyses are summarized by the trace
+const isScalar = (value) => value === null || value instanceof Date || ['string', 'number', 'boolean'].includes(typeof value);
+
+const checkRequiredFields = (rule, data, step) => {
+    const fields = rule.requiredFields || [];
+    if (fields.length === 0) return { status: STATUS.OK };
+    const provided = fields.filter(field => {
+        const present = isProvided(data[field]);
+        step(`${field} ${present ? 'présent' : 'manquant'}`);
+        return present;
+    });
+    const satisfied = rule.requirement === 'any' ? provided.length > 0 : provided.length === fields.length;
+    return { status: satisfied ? STATUS.OK : STATUS.MISSING };
+};
+
+const resolveMessage = (rule, result, scope) => {
+    const { message } = rule;
+    if (!message) return '';
+    if (typeof message === 'string') return interpolate(message, scope);
+    const template = message[result.outcome] ?? message[result.status] ?? message.default ?? '';
+    return interpolate(template, scope);
+};
+
+/**
+ * Runs every rule in force at `asOf` that applies to the dossier.
+ * Returns one entry per applied rule: `{ id, control }`, in catalogue order.
+ */
+export function evaluateRules(rules, data, ctx, asOf) {
+    const results = [];
+
+    rules.forEach(rule => {
+        if (!isRuleInForce(rule, asOf)) return;
+
+        const inputs = new Map();
+        const facts = new Map();
+        const trace = [];
+        const step = (text) => trace.push(text);
+        const trackedData = trackReads(data, inputs);
+        const trackedCtx = trackReads(ctx, facts);
+
+        if (rule.appliesWhen && !rule.appliesWhen(trackedData, trackedCtx)) return;
+
+        let result;
+        if (rule.waivedWhen && rule.waivedWhen(trackedData, trackedCtx)) {
+            step('dispense applicable');
+            result = { status: STATUS.OK, outcome: 'waived' };
+        } else if (rule.evaluate) {
+            result = rule.evaluate(trackedData, trackedCtx, step);
+        } else {
+            result = checkRequiredFields(rule, trackedData, step);
+        }
+        step(`${result.status}${result.outcome ? ` (${result.outcome})` : ''}`);
+
+        const scope = { ...data, ...ctx, ...(result.vars || {}) };
+        const control = {
+            id: rule.id,
+            label: interpolate(rule.label, scope),
+            status: result.status,
+            severity: resolve(rule.severity, trackedData, trackedCtx)
+        };
+        if (rule.legalRef) control.legalRef = rule.legalRef;
+        if (rule.message) control.note = resolveMessage(rule, result, scope);
+        control.inputs = [...inputs].map(([field, value]) => ({ field, value }));
+        control.facts = [...facts].filter(([, value]) => isScalar(value)).map(([name, value]) => ({ name, value }));
+        control.trace = trace;
+
+        results.push({ id: rule.id, control });
+    });
+
+    return results;
+}
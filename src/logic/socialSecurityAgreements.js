@@ -0,0 +1,44 @@
+import { isAfter } from 'date-fns';
+import { findCountry, COUNTRY_REGISTRY } from './countryRegistry.js';
+import { toDate } from './parsing.js';
+
+// Form attesting that the student stays covered by the social security of their country,
+// to be registered with the RAMQ. Countries without a known form number use the generic wording.
+export const AGREEMENT_FORMS = {
+    FR: 'formulaire SE 401-Q-106',
+    RE: 'formulaire SE 401-Q-106',
+    PM: 'formulaire SE 401-Q-106'
+};
+
+const DEFAULT_AGREEMENT_FORM = "attestation d'affiliation délivrée au titre de l'entente";
+
+/**
+ * Health coverage through a Québec social security agreement (RAMQ instead of private insurance).
+ * Eligibility follows the nationality (the country of residence when it is not entered).
+ * Returns `{ country, isEligible, isClaimed, form, hasForm, period, periods }` where `periods`
+ * holds the agreement period when it counts as insurance: claimed, eligible, form provided and dated.
+ */
+export function analyzeAgreementCoverage(data, { registry = COUNTRY_REGISTRY } = {}) {
+    const country = findCountry(data.nationality || data.country, registry);
+    const isEligible = Boolean(country && country.socialSecurityAgreement);
+    const start = toDate(data.agreementStart);
+    const end = toDate(data.agreementEnd);
+    const period = start && end && !isAfter(start, end) ? { start: data.agreementStart, end: data.agreementEnd } : null;
+    const isClaimed = Boolean(data.socialSecurityCoverage);
+    const hasForm = Boolean(data.agreementForm);
+
+    return {
+        country,
+        isEligible,
+        isClaimed,
+        form: (country && AGREEMENT_FORMS[country.code]) || DEFAULT_AGREEMENT_FORM,
+        hasForm,
+        period,
+        periods: isClaimed && isEligible && hasForm && period ? [period] : []
+    };
+}
+
+// Proof expected for the health insurance, listed in the insurance controls
+export const describeExpectedProof = (agreement) => (agreement && agreement.isEligible
+    ? `assurance maladie et hospitalisation privée, ou ${agreement.form} (entente ${agreement.country.nameFr}-Québec, couverture RAMQ)`
+    : 'assurance maladie et hospitalisation privée couvrant tout le séjour');
@@ -25,7 +25,8 @@ export const TIMELINE_STATUS = {
     ERROR: 'error'
 };
 
-export function analyzeTimeline(events) {
+// `asOf` is the reference date of the analysis: open absences end there instead of today
+export function analyzeTimeline(events, { asOf = new Date() } = {}) {
     const report = {
         score: 100,
         gaps: [],
@@ -553,12 +554,12 @@ export function analyzeTimeline(events) {
         }
     });
 
-    // Check for Open Absence (Exit without Return until Now)
+    // Check for Open Absence (Exit without Return until the reference date)
     if (!inCanada && lastMovementDate) {
         // Warning: Currently absent?
         // We might want to flag if they have active studies/CAQ during this open absence
-        const today = safeParseDate(new Date());
-        absencePeriods.push({ start: lastMovementDate, end: today, isOpen: true });
+        const reference = safeParseDate(asOf);
+        absencePeriods.push({ start: lastMovementDate, end: reference, isOpen: true });
     }
 
     // Validate Studies during Absence
@@ -0,0 +1,36 @@
+import { convertFundSources, DEFAULT_EXCHANGE_RATES } from './exchangeRates.js';
+import { toAmount } from './parsing.js';
+
+/**
+ * First-year tuition still to be paid, added to the required funds.
+ * `tuitionPerYear` is the international rate of the admission letter; a student exempt from
+ * the higher international fees pays `exemptTuitionPerYear` instead (0 for a full exemption).
+ * Deposits already paid are deducted. Returns `{ annual, deposit, net, isExempt }`,
+ * or null when no tuition is entered.
+ */
+export function computeTuitionCost({ tuitionPerYear, tuitionDepositPaid, tuitionExemption, exemptTuitionPerYear } = {}) {
+    const international = toAmount(tuitionPerYear);
+    const isExempt = Boolean(tuitionExemption);
+    // Without the exempt rate, the international rate is kept until it is entered
+    const hasExemptRate = isExempt && exemptTuitionPerYear !== '' && exemptTuitionPerYear !== undefined && exemptTuitionPerYear !== null;
+    const annual = hasExemptRate ? toAmount(exemptTuitionPerYear) : international;
+    if (!international && !hasExemptRate) return null;
+
+    const deposit = Math.min(toAmount(tuitionDepositPaid), annual);
+    return { annual, deposit, net: annual - deposit, isExempt };
+}
+
+/**
+ * Scholarships counted as funds: `{ sponsor, amount, currency, durationMonths, documented }`.
+ * Only documented scholarships count; they are converted to CAD like the fund sources.
+ * Returns `{ totalCad, lines, unconverted, undocumented }`.
+ */
+export function computeScholarshipFunds(scholarships, { table = DEFAULT_EXCHANGE_RATES, conversionDate } = {}) {
+    const entered = (scholarships || []).filter(scholarship => toAmount(scholarship.amount) > 0);
+    const documented = entered.filter(scholarship => scholarship.documented);
+    const converted = convertFundSources(
+        documented.map(scholarship => ({ ...scholarship, label: `Bourse ${scholarship.sponsor || ''}`.trim(), currency: scholarship.currency || 'CAD' })),
+        { table, conversionDate }
+    );
+    return { ...converted, undocumented: entered.filter(scholarship => !scholarship.documented) };
+}
@@ -0,0 +1,279 @@
+import { format } from 'date-fns';
+import { STATUS, SEVERITY, RECOMMENDATION } from './constants.js';
+import { analyzeDossier } from './ruleEngine.js';
+import { RULE_CATALOGUE } from './ruleCatalogue.js';
+import { formatAmount } from './financialThresholds.js';
+import { describeGaps } from './insuranceCoverage.js';
+
+// Relative effort of each kind of action, used to order and choose between fixes
+export const ACTION_EFFORT = {
+    document: 1,
+    passport: 2,
+    insurance: 2,
+    funds: 3
+};
+
+// Supporting documents the simulator may assume the client can supply (checkbox fields only)
+const DOCUMENT_LABELS = {
+    passportSigned: 'le passeport signé',
+    formDeclaration: 'les formulaires de déclaration et d\'engagement',
+    admissionLetter: 'la lettre d\'admission',
+    transcripts: 'les relevés de notes',
+    fullTimeJustification: 'la justification des études à temps partiel',
+    birthCertificate: 'le certificat de naissance',
+    parentsIdentity: 'l\'identité des deux parents',
+    accompanyingParentsStatus: 'le statut des parents accompagnateurs',
+    nonAccompanyingParentIdentity: 'l\'identité du parent non accompagnateur',
+    consentDeclaration: 'la déclaration de consentement',
+    soleCustodyProof: 'la preuve de garde exclusive',
+    parentalAuthorityDelegation: 'la délégation de l\'autorité parentale',
+    custodyDeclaration: 'la déclaration de garde',
+    citizenshipProof: 'la preuve de statut du gardien',
+    responsibleAdultIdentity: 'l\'identité du gardien',
+    residenceProof: 'la preuve de résidence du gardien',
+    criminalRecordCheck: 'la vérification des antécédents judiciaires',
+    emancipationJudgment: 'le jugement d\'émancipation',
+    tuitionExemptionProof: 'la preuve d\'exemption des droits de scolarité majorés',
+    agreementForm: 'le formulaire d\'entente de sécurité sociale',
+    supportForm: 'le formulaire de soutien financier',
+    guarantorFinanceProof: 'les preuves financières du garant',
+    selfFinanceProof: 'les preuves de fonds personnels',
+    bankStatements6Months: 'les relevés bancaires des 6 derniers mois',
+    financialProof: 'les preuves de capacité financière'
+};
+
+const RANK = {
+    [RECOMMENDATION.INVALID_INPUT]: -1,
+    [RECOMMENDATION.HIGH_RISK]: 0,
+    [RECOMMENDATION.COMPLETE]: 1,
+    [RECOMMENDATION.ACCEPTABLE]: 2
+};
+
+// Severities that must all be resolved to reach each recommendation
+const SEVERITIES_TO_FIX = {
+    [RECOMMENDATION.COMPLETE]: [SEVERITY.BLOCKING],
+    [RECOMMENDATION.ACCEPTABLE]: [SEVERITY.BLOCKING, SEVERITY.MAJOR]
+};
+
+const isoDay = (date) => format(date, 'yyyy-MM-dd');
+
+const applyAction = (data, action) => ({ ...data, ...action.patch(data) });
+
+const documentActions = (rule, data) => (rule.requiredFields || [])
+    .filter(field => DOCUMENT_LABELS[field] && !data[field])
+    .map(field => ({
+        id: `provide:${field}`,
+        kind: 'document',
+        label: `fournir ${DOCUMENT_LABELS[field]}`,
+        patch: () => ({ [field]: true })
+    }));
+
+const familyActions = (control) => {
+    const docField = control.id === 'FAMILY_IDENTITY' ? 'identityDoc' : 'civilStatusDoc';
+    const label = control.id === 'FAMILY_IDENTITY'
+        ? 'fournir les pièces d\'identité des membres accompagnants'
+        : 'fournir les preuves d\'état civil des membres accompagnants';
+    return [{
+        id: `provide:${docField}`,
+        kind: 'document',
+        label,
+        patch: (data) => ({
+            familyMembers: data.familyMembers.map(m => (m.accompanying ? { ...m, [docField]: true } : m))
+        })
+    }];
+};
+
+const insuranceActions = (control, analysis) => {
+    const isPast = control.id === 'INSURANCE_PAST';
+    const coverage = isPast ? analysis.insuranceCoverage.past : analysis.insuranceCoverage.future;
+    if (!coverage || coverage.gaps.length === 0) return [];
+    const field = isPast ? 'pastInsurances' : 'futureInsurances';
+    return [{
+        id: `insurance:${field}`,
+        kind: 'insurance',
+        label: `${isPast ? 'justifier une assurance' : 'souscrire une assurance'} ${describeGaps(coverage.gaps)}`,
+        patch: (data) => ({
+            [field]: [
+                ...(data[field] || []),
+                ...coverage.gaps.map(gap => ({ start: isoDay(gap.start), end: isoDay(gap.end) }))
+            ]
+        })
+    }];
+};
+
+const fundsActions = (analysis) => {
+    const shortfall = Math.ceil(analysis.requiredFunds.total - analysis.funds.totalCad);
+    // With listed guarantors the declared funds are not counted: the shortfall is theirs to cover
+    if (shortfall <= 0 || analysis.funds.guarantors) return [];
+    return [{
+        id: 'funds',
+        kind: 'funds',
+        label: `justifier ${formatAmount(shortfall)} de fonds supplémentaires`,
+        patch: (data) => (analysis.funds.fromSources
+            ? { fundSources: [...data.fundSources, { label: 'Fonds supplémentaires', amount: shortfall, currency: 'CAD', date: '' }] }
+            : { availableFunds: (Number(data.availableFunds) || 0) + shortfall })
+    }];
+};
+
+const passportActions = (control, analysis) => {
+    if (control.id === 'PASSPORT' && control.status !== STATUS.INCONSISTENT) {
+        return [{
+            id: 'passport:renew',
+            kind: 'passport',
+            label: 'fournir un passeport valide',
+            patch: () => ({ passportStatus: 'valid', passportExpiry: '' })
+        }];
+    }
+    if (control.id === 'PASSPORT_VALIDITY' && analysis.caqValidity.nominalEnd) {
+        return [{
+            id: 'passport:extend',
+            kind: 'passport',
+            label: 'renouveler le passeport pour couvrir toute la durée des études',
+            patch: () => ({ passportExpiry: isoDay(analysis.caqValidity.nominalEnd) })
+        }];
+    }
+    return [];
+};
+
+// Candidate fixes for one failing control, cheapest first
+const candidateActions = (control, rule, data, analysis) => {
+    const actions = [
+        ...(rule ? documentActions(rule, data) : []),
+        ...(control.id === 'FAMILY_IDENTITY' || control.id === 'FAMILY_CIVIL_STATUS' ? familyActions(control) : []),
+        ...(control.id === 'INSURANCE_PAST' || control.id === 'INSURANCE_FUTURE' ? insuranceActions(control, analysis) : []),
+        ...(control.id === 'FINANCE' && control.status === STATUS.INSUFFICIENT ? fundsActions(analysis) : []),
+        ...passportActions(control, analysis)
+    ];
+    return actions
+        .map(action => ({ ...action, effort: ACTION_EFFORT[action.kind] }))
+        .sort((a, b) => a.effort - b.effort);
+};
+
+// Largest combination of actions tried for a single control: the engine runs once per combination
+const MAX_COMBINED_ACTIONS = 3;
+
+// Combinations of `size` items, in the order of the list
+const combinations = (items, size) => {
+    if (size === 0) return [[]];
+    return items.flatMap((item, i) => combinations(items.slice(i + 1), size - 1).map(rest => [item, ...rest]));
+};
+
+const effortOf = (actions) => actions.reduce((total, action) => total + action.effort, 0);
+
+const applyActions = (data, actions) => actions.reduce(applyAction, data);
+
+const simulateTarget = (data, target, { asOf, rules, maxRounds }) => {
+    const rulesById = new Map(rules.map(rule => [rule.id, rule]));
+    const severities = SEVERITIES_TO_FIX[target];
+    const run = (candidate) => analyzeDossier(candidate, { asOf, rules });
+    const isFailing = (control) => control.status !== STATUS.OK && severities.includes(control.severity);
+    // Distance to the target: the failing controls, then those of them still waiting for a document
+    const distance = (analysis) => {
+        const failing = analysis.controls.filter(isFailing);
+        return [failing.length, failing.filter(c => c.status === STATUS.MISSING).length];
+    };
+    const compareDistance = (a, b) => a[0] - b[0] || a[1] - b[1];
+
+    // Smallest, then cheapest, combination of the candidates that clears the control, otherwise
+    // one of the same size that brings the dossier closer to the target (e.g. documents supplied,
+    // funds still short: the next round adds the funds)
+    const chooseActions = (candidates, control, base, current) => {
+        const before = distance(current);
+        for (let size = 1; size <= Math.min(candidates.length, MAX_COMBINED_ACTIONS); size++) {
+            const closer = combinations(candidates, size)
+                .sort((a, b) => effortOf(a) - effortOf(b))
+                .map(combination => {
+                    const result = run(applyActions(base, combination));
+                    return { combination, result, after: result.controls.find(c => c.id === control.id) };
+                })
+                .filter(({ result }) => compareDistance(distance(result), before) < 0);
+            const chosen = closer.find(({ after }) => !after || !isFailing(after)) || closer[0];
+            if (chosen) return chosen.combination;
+        }
+        return null;
+    };
+
+    let patched = data;
+    const actions = [];
+    const unresolved = new Map();
+
+    for (let round = 0; round < maxRounds; round++) {
+        const failing = run(patched).controls.filter(c => isFailing(c) && !unresolved.has(c.id));
+        if (failing.length === 0) break;
+
+        let progressed = false;
+        failing.forEach(failingControl => {
+            // An action chosen earlier in this round may already have cleared the control
+            const current = run(patched);
+            const control = current.controls.find(c => c.id === failingControl.id);
+            if (!control || !isFailing(control)) return;
+
+            const candidates = candidateActions(control, rulesById.get(control.id), patched, current);
+            const chosen = chooseActions(candidates, control, patched, current);
+            if (!chosen) {
+                unresolved.set(control.id, control.label);
+                return;
+            }
+            patched = applyActions(patched, chosen);
+            actions.push(...chosen);
+            progressed = true;
+        });
+        if (!progressed) break;
+    }
+
+    // Pruning, most costly first: an action chosen for one control may be made redundant by one
+    // chosen later for another. Every action left is needed to get as close to the target.
+    const reached = run(patched);
+    let kept = actions;
+    [...actions].reverse().sort((a, b) => b.effort - a.effort).forEach(action => {
+        const without = kept.filter(a => a !== action);
+        const result = run(applyActions(data, without));
+        if (compareDistance(distance(result), distance(reached)) <= 0 && RANK[result.recommendation] >= RANK[reached.recommendation]) {
+            kept = without;
+        }
+    });
+
+    // Points each kept action adds, applied in the order chosen
+    let previous = run(data);
+    patched = data;
+    const scored = kept.map(action => {
+        patched = applyAction(patched, action);
+        const result = run(patched);
+        const scoreGain = result.score - previous.score;
+        previous = result;
+        const { id, kind, label, effort } = action;
+        return { id, kind, label, effort, scoreGain };
+    });
+
+    return {
+        target,
+        isReachable: RANK[previous.recommendation] >= RANK[target],
+        score: previous.score,
+        actions: scored.sort((a, b) => a.effort - b.effort),
+        unresolved: [...unresolved.values()],
+        data: patched
+    };
+};
+
+/**
+ * What-if simulation: for each recommendation above the current one, applies control by control
+ * the smallest, then cheapest, combination of actions (supplying a document, extending insurance,
+ * adding funds...) clearing it when the engine is re-run on the modified form data, for at most
+ * `maxRounds` rounds, then drops every action the target is still reached without. No action of
+ * the set can be removed, though a different, cheaper set may exist.
+ * Actions are ordered by effort, each with the points it adds to the dossier score;
+ * `unresolved` lists the controls no action can fix.
+ * Incoherent input has no scenario: it must be corrected before any action is simulated.
+ */
+export function simulateImprovements(data, { asOf, rules = RULE_CATALOGUE, maxRounds = 5 } = {}) {
+    const { recommendation: current, score } = analyzeDossier(data, { asOf, rules });
+    const targets = current === RECOMMENDATION.INVALID_INPUT
+        ? []
+        : [RECOMMENDATION.COMPLETE, RECOMMENDATION.ACCEPTABLE].filter(target => RANK[target] > RANK[current]);
+
+    return {
+        current,
+        score,
+        scenarios: targets.map(target => simulateTarget(data, target, { asOf, rules, maxRounds }))
+    };
+}